@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Web API used by the settings page
+ */
+module.exports = {
+
+  async getSchedules({ homey }) {
+    return homey.app.getSchedules();
+  },
+
+  async setSchedule({ homey, params, body }) {
+    return homey.app.setSchedule(params.deviceId, body);
+  },
+
+  async getPresets({ homey }) {
+    return homey.app.getPresets();
+  },
+
+  async savePreset({ homey, params, body }) {
+    return homey.app.savePreset(params.deviceId, body.name);
+  },
+
+  async renamePreset({ homey, params, body }) {
+    return homey.app.renamePreset(params.deviceId, params.presetId, body.name);
+  },
+
+  async deletePreset({ homey, params }) {
+    return homey.app.deletePreset(params.deviceId, params.presetId);
+  },
+
+};
@@ -2,6 +2,10 @@
 
 const Homey = require('homey');
 const HonApi = require('./lib/HonApi');
+const PollScheduler = require('./lib/PollScheduler');
+
+// Retry delay when the push channel cannot be set up (e.g. cloud unreachable at startup)
+const PUSH_RETRY_DELAY = 60 * 1000;
 
 class HaierHonApp extends Homey.App {
 
@@ -13,6 +17,24 @@ class HaierHonApp extends Homey.App {
 
     // Initialize the API client (will be shared across all devices)
     this.api = null;
+    this._pushRetryTimer = null;
+
+    // One poller for all devices; they subscribe in their onInit
+    this.poller = new PollScheduler({
+      getApi: async () => {
+        // API not created yet — try re-initializing (may recover via refresh token)
+        if (!this.api) {
+          this.log('API not available, attempting re-initialization...');
+          await this._initializeApi();
+        }
+        return this.api;
+      },
+      log: this.log.bind(this),
+      error: this.error.bind(this),
+    });
+
+    // Program and error cards are shared by several drivers
+    this._registerFlowCards();
 
     // Attempt to initialize API if we have stored tokens
     await this._initializeApi();
@@ -20,6 +42,45 @@ class HaierHonApp extends Homey.App {
     this.log('Haier hOn app has been initialized');
   }
 
+  /**
+   * Register the flow cards shared by several drivers
+   * @private
+   */
+  _registerFlowCards() {
+    const PROGRAM_ACTIONS = {
+      'program_start': (device) => device.startProgram(),
+      'program_pause': (device) => device.pauseProgram(),
+      'program_resume': (device) => device.resumeProgram(),
+      'program_stop': (device) => device.stopProgram(),
+    };
+
+    for (const [cardId, run] of Object.entries(PROGRAM_ACTIONS)) {
+      this.homey.flow.getActionCard(cardId)
+        .registerRunListener(async (args) => run(args.device));
+    }
+
+    this.homey.flow.getActionCard('program_run')
+      .registerRunListener(async (args) => args.device.runProgram(args.program.id))
+      .registerArgumentAutocompleteListener('program', async (query, args) => {
+        const search = query.toLowerCase();
+        return args.device.getPrograms().filter((program) => program.name.toLowerCase().includes(search));
+      });
+
+    this.homey.flow.getConditionCard('has_error')
+      .registerRunListener(async (args) => args.device.hasError());
+  }
+
+  /**
+   * onUninit is called when the app is destroyed.
+   */
+  async onUninit() {
+    this.poller.stop();
+    this.homey.clearTimeout(this._pushRetryTimer);
+    if (this.api) {
+      this.api.destroy();
+    }
+  }
+
   /**
    * Initialize the API client with stored tokens
    * @private
@@ -34,8 +95,13 @@ class HaierHonApp extends Homey.App {
       return;
     }
 
+    // Release the push channel and timers of the instance we are about to replace
+    if (this.api) {
+      this.api.destroy();
+    }
+
     try {
-      this.api = new HonApi({
+      this.api = this.createApi({
         refreshToken: refreshToken,
         onTokenRefresh: (newRefreshToken) => {
           this.homey.settings.set('refreshToken', newRefreshToken);
@@ -46,8 +112,12 @@ class HaierHonApp extends Homey.App {
           this.homey.settings.set('idToken', newIdToken);
           this.log('Access & ID tokens updated in settings');
         },
-        log: this.log.bind(this),
-        error: this.error.bind(this),
+        onCircuitChange: (open) => {
+          this.log(`hOn cloud ${open ? 'unavailable, pausing all devices' : 'available again, resuming devices'}`);
+          for (const device of this.getDevices()) {
+            device.onCloudAvailabilityChanged(!open).catch(this.error);
+          }
+        },
       });
 
       if (accessToken && idToken) {
@@ -72,6 +142,9 @@ class HaierHonApp extends Homey.App {
         await this.api._safeRefresh();
         this.log('API authenticated via refresh token');
       }
+
+      // Real-time updates; devices fall back to polling while this is down
+      this._startPush();
     } catch (error) {
       this.error('Failed to initialize API:', error.message);
 
@@ -81,10 +154,131 @@ class HaierHonApp extends Homey.App {
         this.api = null;
       } else {
         this.log('Keeping API instance alive for refresh retry on next poll');
+        this._startPush();
       }
     }
   }
 
+  /**
+   * Create a HonApi instance pointed at the configured endpoints.
+   * HON_AUTH_URL, HON_API_URL and HON_MQTT_URL in env.json redirect the app
+   * to a local simulator/broker; unset, the real hOn cloud is used.
+   * @param {Object} [options] - Additional HonApi options
+   * @returns {HonApi}
+   */
+  createApi(options = {}) {
+    return new HonApi({
+      authUrl: Homey.env.HON_AUTH_URL,
+      apiUrl: Homey.env.HON_API_URL,
+      mqttUrl: Homey.env.HON_MQTT_URL,
+      log: this.log.bind(this),
+      error: this.error.bind(this),
+      ...options,
+    });
+  }
+
+  /**
+   * Start the push channel, retrying later if it cannot be set up
+   * @private
+   */
+  _startPush() {
+    this.homey.clearTimeout(this._pushRetryTimer);
+    this._pushRetryTimer = null;
+
+    this._connectPush().catch((error) => {
+      this.error('Failed to start push channel:', error.message);
+      this._pushRetryTimer = this.homey.setTimeout(() => this._startPush(), PUSH_RETRY_DELAY);
+    });
+  }
+
+  /**
+   * Open the push channel for all appliances on the account and route
+   * its updates to the matching devices
+   * @private
+   */
+  async _connectPush() {
+    const api = this.api;
+    if (!api) return;
+    const appliances = await api.getAppliances();
+
+    // API instance may have been replaced (repair) while fetching
+    if (api !== this.api) return;
+
+    await api.startPush(appliances, {
+      onState: (macAddress, parameters) => {
+        const device = this._findDevice(macAddress);
+        if (device) {
+          device.onPushState(parameters).catch(this.error);
+        }
+      },
+      onConnection: (macAddress, connected) => {
+        const device = this._findDevice(macAddress);
+        if (device) {
+          const lastConnEvent = { category: connected ? 'CONNECTED' : 'DISCONNECTED', instantTime: new Date().toISOString() };
+          device.onPushState({ lastConnEvent }).catch(this.error);
+        }
+      },
+      onStatusChange: (connected) => {
+        this.log(`Push channel ${connected ? 'online' : 'offline'}`);
+        for (const device of this.getDevices()) {
+          device.onPushStatusChanged(connected).catch(this.error);
+        }
+      },
+    });
+  }
+
+  /**
+   * Get all paired hOn devices across drivers
+   * @returns {Array<Homey.Device>}
+   */
+  getDevices() {
+    return Object.values(this.homey.drivers.getDrivers())
+      .flatMap((driver) => driver.getDevices());
+  }
+
+  /**
+   * Find the paired device for a MAC address
+   * @param {string} macAddress
+   * @returns {Homey.Device|undefined}
+   * @private
+   */
+  _findDevice(macAddress) {
+    return this.getDevices().find((device) => device.deviceId === macAddress);
+  }
+
+  /**
+   * Add a device to the shared poller
+   * @param {Homey.Device} device
+   */
+  registerDevice(device) {
+    this.poller.subscribe(device);
+  }
+
+  /**
+   * Remove a device from the shared poller
+   * @param {Homey.Device} device
+   */
+  unregisterDevice(device) {
+    this.poller.unsubscribe(device);
+  }
+
+  /**
+   * Poll a device soon, outside its regular schedule
+   * @param {Homey.Device} device
+   * @param {number} [delay=0] - milliseconds
+   */
+  requestPoll(device, delay = 0) {
+    this.poller.requestPoll(device, delay);
+  }
+
+  /**
+   * Check if real-time push updates are flowing
+   * @returns {boolean}
+   */
+  isPushConnected() {
+    return this.api !== null && this.api.isPushConnected();
+  }
+
   /**
    * Get the API client instance
    * @returns {HonApi|null}
@@ -110,6 +304,89 @@ class HaierHonApp extends Homey.App {
     await this._initializeApi();
   }
 
+  /**
+   * Weekly schedules of all devices that have one, for the settings page
+   * @returns {Array<Object>} {id, name, schedule, options} per device
+   */
+  getSchedules() {
+    return this.getDevices()
+      .filter((device) => typeof device.getSchedule === 'function')
+      .map((device) => ({
+        id: device.deviceId,
+        name: device.getName(),
+        schedule: device.getSchedule(),
+        options: device.getScheduleOptions(),
+      }));
+  }
+
+  /**
+   * Replace the weekly schedule of a device
+   * @param {string} deviceId - MAC address
+   * @param {Object} schedule - {enabled, blocks}
+   * @returns {Object} The schedule as stored
+   */
+  async setSchedule(deviceId, schedule) {
+    const device = this._findAircon(deviceId);
+    await device.setSchedule(schedule);
+    return device.getSchedule();
+  }
+
+  /**
+   * Presets of all devices that have them, for the settings page
+   * @returns {Array<Object>} {id, name, presets} per device
+   */
+  getPresets() {
+    return this.getDevices()
+      .filter((device) => typeof device.getPresets === 'function')
+      .map((device) => ({ id: device.deviceId, name: device.getName(), presets: device.getPresets() }));
+  }
+
+  /**
+   * Save the current state of a device as a preset
+   * @param {string} deviceId - MAC address
+   * @param {string} name
+   * @returns {Object} The saved preset
+   */
+  async savePreset(deviceId, name) {
+    return this._findAircon(deviceId).savePreset(name);
+  }
+
+  /**
+   * Rename a preset of a device
+   * @param {string} deviceId - MAC address
+   * @param {string} presetId
+   * @param {string} name
+   */
+  async renamePreset(deviceId, presetId, name) {
+    await this._findAircon(deviceId).renamePreset(presetId, name);
+  }
+
+  /**
+   * Delete a preset of a device
+   * @param {string} deviceId - MAC address
+   * @param {string} presetId
+   */
+  async deletePreset(deviceId, presetId) {
+    await this._findAircon(deviceId).deletePreset(presetId);
+  }
+
+  /**
+   * Find a paired air conditioner for the settings page
+   * @param {string} deviceId - MAC address
+   * @returns {Homey.Device}
+   * @throws {Error} code NOT_FOUND
+   * @private
+   */
+  _findAircon(deviceId) {
+    const device = this._findDevice(deviceId);
+    if (!device || typeof device.setSchedule !== 'function') {
+      const error = new Error(`No air conditioner ${deviceId}`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    return device;
+  }
+
   /**
    * Check if the API is authenticated
    * @returns {boolean}
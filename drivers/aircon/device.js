@@ -1,6 +1,11 @@
 'use strict';
 
-const Homey = require('homey');
+const crypto = require('crypto');
+const HonDevice = require('../../lib/HonDevice');
+const CommandQueue = require('../../lib/CommandQueue');
+const WeeklySchedule = require('../../lib/WeeklySchedule');
+const { RangeParameter, EnumParameter } = require('../../lib/HonParameter');
+const { TOGGLE_CAPABILITIES, FLOW_CARDS } = require('./flowCards');
 
 // Mapping from hOn machMode values to Homey thermostat modes
 const HON_TO_HVAC_MODE = {
@@ -22,22 +27,27 @@ const HVAC_MODE_TO_HON = {
   '10_heating': 4, // Uses heat mode with 10degreeHeatingStatus
 };
 
-// Mapping from hOn windSpeed values to Homey fan modes
+// Mapping from hOn windSpeed values to Homey fan modes. Lower values are
+// faster; levels outside 1-3 (e.g. a mute level) map to the nearest mode.
 const HON_TO_FAN_MODE = {
   1: 'high',
   2: 'medium',
   3: 'low',
-  4: 'auto',
-  5: 'auto',
 };
 
 const FAN_MODE_TO_HON = {
-  'high': 1,
-  'medium': 2,
-  'low': 3,
-  'auto': 5,
+  'high': '1',
+  'medium': '2',
+  'low': '3',
 };
 
+// windSpeed values meaning auto, preferred first; older models use 4, newer
+// models use 5 and may offer 4 as an extra speed
+const AUTO_WIND_SPEEDS = ['5', '4'];
+
+// windSpeed values assumed until the definition has been loaded
+const DEFAULT_WIND_SPEEDS = ['1', '2', '3', '5'];
+
 // Mapping from Homey HVAC modes to hOn program names
 const HVAC_MODE_TO_PROGRAM = {
   'auto': 'IOT_AUTO',
@@ -55,63 +65,208 @@ const ECO_PILOT_TO_HON = {
   'follow': '2',
 };
 
+// Louver capabilities: their parameter, the value that makes them swing, the
+// position used when swing is switched off from a swinging state, and the
+// titles of the positions (ids are the hOn values)
+const VANES = {
+  'hon_vane_vertical': {
+    param: 'windDirectionVertical',
+    swing: '8',
+    fixed: '5',
+    positions: {
+      '2': { en: 'Position 1 (top)', nl: 'Stand 1 (boven)' },
+      '4': { en: 'Position 2', nl: 'Stand 2' },
+      '5': { en: 'Position 3', nl: 'Stand 3' },
+      '6': { en: 'Position 4', nl: 'Stand 4' },
+      '7': { en: 'Position 5 (bottom)', nl: 'Stand 5 (onder)' },
+      '8': { en: 'Swing', nl: 'Zwaaien' },
+    },
+  },
+  'hon_vane_horizontal': {
+    param: 'windDirectionHorizontal',
+    swing: '7',
+    fixed: '0',
+    positions: {
+      '0': { en: 'Auto', nl: 'Automatisch' },
+      '3': { en: 'Position 1 (left)', nl: 'Stand 1 (links)' },
+      '4': { en: 'Position 2', nl: 'Stand 2' },
+      '5': { en: 'Position 3', nl: 'Stand 3' },
+      '6': { en: 'Position 4 (right)', nl: 'Stand 4 (rechts)' },
+      '7': { en: 'Swing', nl: 'Zwaaien' },
+    },
+  },
+};
+
+// Swing modes mapped to the louvers that swing
+const SWING_MODE_VANES = {
+  'off': [],
+  'vertical': ['hon_vane_vertical'],
+  'horizontal': ['hon_vane_horizontal'],
+  'both': ['hon_vane_vertical', 'hon_vane_horizontal'],
+};
+
 const HON_TO_ECO_PILOT = {
   0: 'off',
   1: 'avoid',
   2: 'follow',
 };
 
-// Toggle capabilities mapped to their API parameter names
-const TOGGLE_CAPABILITIES = {
-  'hon_silent_mode': { param: 'muteStatus' },
-  'hon_rapid_mode': { param: 'rapidMode' },
-  'hon_sleep_mode': { param: 'silentSleepStatus' },
-  'hon_screen_display': { param: 'screenDisplayStatus' },
-  'hon_echo_mode': { param: 'echoStatus', inverted: true }, // 0=beep on, 1=beep off
-  'hon_eco_mode': { param: 'ecoMode' },
-  'hon_health_mode': { param: 'healthMode' },
+// Controls shown only when the model's settings command exposes one of these parameters
+const CAPABILITY_PARAMETERS = {
+  'thermostat_mode': ['machMode'],
+  'fan_mode': ['windSpeed'],
+  'hon_fan_level': ['windSpeed'],
+  'swing_mode': ['windDirectionHorizontal', 'windDirectionVertical'],
+  ...Object.fromEntries(Object.entries(VANES).map(([capability, vane]) => [capability, [vane.param]])),
+  'hon_eco_pilot': ['humanSensingStatus'],
+  ...Object.fromEntries(Object.entries(TOGGLE_CAPABILITIES).map(([capability, config]) => [capability, [config.param]])),
+};
+
+// Sensors shown only when the appliance reports one of these state parameters
+const SENSOR_PARAMETERS = {
+  'measure_temperature.outdoor': ['tempOutdoor', 'tempAirOutdoor'],
+  'measure_humidity': ['humidityIndoor'],
+  'measure_pm25': ['pm2p5ValueIndoor'],
+  'hon_remaining_time': ['remainingTimeMM'],
+  'hon_program_progress': ['remainingTimeMM'],
 };
 
-// Default polling interval in milliseconds
-const DEFAULT_POLL_INTERVAL = 5000;
+// Cleaning programs and the state parameter that is 1 while they run
+const CLEANING_PROGRAMS = {
+  'selfCleaningStatus': 'IOT_SELF_CLEAN',
+  'selfCleaning56Status': 'IOT_SELF_CLEAN_56',
+};
+
+// Energy capabilities filled from the hOn usage statistics
+const ENERGY_CAPABILITIES = ['meter_power', 'measure_power', 'meter_power.today', 'meter_power.month'];
+
+// Setpoint range used until the tempSel definition has been loaded
+const DEFAULT_TEMPERATURE_RANGE = { min: 16, max: 30, step: 1 };
+
+// Setpoint shown while anti-freeze (10°C heating) is active
+const ANTI_FREEZE_TEMPERATURE = 10;
+
+// Setpoint parameter in °F, on models that take one next to tempSel
+const FAHRENHEIT_SETPOINT = 'tempSelF';
+
+// Command confirmation: poll until the appliance reports the requested state,
+// retry the command if it has not done so within the timeout
+const CONFIRM_POLL_INTERVAL = 5000;
+const CONFIRM_TIMEOUT = 30000;
+const DEFAULT_COMMAND_RETRIES = 2;
+
+// Longest wait between schedule checks, so clock and timezone changes are picked up
+const SCHEDULE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Wait before trying a block again that the AC didn't accept (offline, cloud down)
+const SCHEDULE_RETRY_INTERVAL = 5 * 60 * 1000;
 
-class AirconDevice extends Homey.Device {
+// Parameters whose change counts as activity (sensor readings excluded)
+const ACTIVITY_PARAMETERS = [
+  'onOffStatus', 'machMode', 'tempSel', 'windSpeed', 'windDirectionHorizontal',
+  'windDirectionVertical', 'humanSensingStatus', '10degreeHeatingStatus',
+  ...Object.values(TOGGLE_CAPABILITIES).map((config) => config.param),
+];
+
+/**
+ * Louver capability controlled by a parameter
+ * @param {string} param
+ * @returns {string|undefined}
+ */
+function vaneCapability(param) {
+  return Object.keys(VANES).find((capability) => VANES[capability].param === param);
+}
+
+/**
+ * Setpoint range of a tempSel-like definition
+ * @param {HonParameter} [parameter]
+ * @returns {{min: number, max: number, step: number}|null} null when it isn't a usable range
+ */
+function rangeOf(parameter) {
+  if (!(parameter instanceof RangeParameter) || !Number.isFinite(parameter.min) || !(parameter.min < parameter.max)) {
+    return null;
+  }
+  return { min: parameter.min, max: parameter.max, step: parameter.step };
+}
+
+/**
+ * Round a value to a range's step and clamp it to the range
+ * @param {number} value
+ * @param {{min: number, max: number, step: number}} range
+ * @returns {number}
+ */
+function snapToRange(value, { min, max, step }) {
+  const rounded = Math.round(value / step) * step;
+  return Math.min(max, Math.max(min, Number(rounded.toFixed(2))));
+}
+
+/**
+ * @param {number} celsius
+ * @returns {number}
+ */
+function toFahrenheit(celsius) {
+  return celsius * 9 / 5 + 32;
+}
+
+/**
+ * @param {number} fahrenheit
+ * @returns {number}
+ */
+function toCelsius(fahrenheit) {
+  return (fahrenheit - 32) * 5 / 9;
+}
+
+class AirconDevice extends HonDevice {
 
   /**
-   * onInit is called when the device is initialized.
+   * Set up the AC before state updates start
    */
-  async onInit() {
+  async onHonInit() {
     this.log('Aircon device has been initialized');
 
-    // Get stored device data
-    // Strip timestamp suffix if present (e.g., "mac-address#2024-01-01..." -> "mac-address")
-    const rawId = this.getData().id || '';
-    this.deviceId = rawId.split('#')[0];
-    this.applianceId = this.getData().applianceId;
+    // Command waiting for the appliance to report the requested state
+    this._confirmation = null;
 
-    this.log(`Device ID (MAC): ${this.deviceId}, Appliance ID: ${this.applianceId}`);
+    // Model features, refined once the command definitions are loaded
+    this._celsiusRange = { ...DEFAULT_TEMPERATURE_RANGE };
+    this._fahrenheitRange = null;
+    this._antiFreezeSupported = false;
+    this._fahrenheit = this.getSetting('temperature_unit') === 'fahrenheit';
+    this._temperatureRange = this._setpointRange();
+    this._sensorsChecked = false;
+    this._capabilityListeners = new Set();
 
-    // Polling timer
-    this._pollTimer = null;
+    // Fan speeds of the model, refined from the windSpeed definition
+    this._fanSpeeds = this._parseFanSpeeds(DEFAULT_WIND_SPEEDS);
 
-    // Skip polls until this timestamp (prevents stale state overwriting commands)
-    this._skipPollUntil = 0;
+    // Cleaning program running in the last state (undefined until the first state)
+    this._cleaningProgram = undefined;
+
+    // Weekly schedule; blocks are applied once the command definitions are loaded
+    this._scheduleTimer = null;
+    this._applyingSchedule = false;
+
+    // Serializes and merges capability changes into one command at a time
+    this._commandQueue = new CommandQueue({
+      send: (changes) => this._sendChanges(changes),
+      log: this.log.bind(this),
+    });
 
     // Migrate capabilities from old custom to system capabilities
     await this._migrateCapabilities();
+    await this._setCapabilityPresent('hon_program', true);
 
     // Register capability listeners
     this._registerCapabilityListeners();
 
-    // Start polling for device state
-    await this._startPolling();
-
-    // Fetch command definitions for mandatory parameters
-    this._fetchCommandDefinitions();
+    // Waits for the command definitions if a block is due before they are loaded
+    await this._checkSchedule().catch(this.error);
   }
 
   /**
-   * Migrate from old custom capabilities to system capabilities
+   * Migrate from old custom capabilities to system capabilities. Only a
+   * migrated capability is added here; whether a model has it is up to
+   * _syncCapabilities.
    * @private
    */
   async _migrateCapabilities() {
@@ -122,10 +277,10 @@ class AirconDevice extends Homey.Device {
     ];
 
     for (const { old: oldCap, new: newCap } of migrations) {
-      if (this.hasCapability(oldCap)) {
-        this.log(`Migrating capability ${oldCap} → ${newCap}`);
-        await this.removeCapability(oldCap).catch(this.error);
-      }
+      if (!this.hasCapability(oldCap)) continue;
+
+      this.log(`Migrating capability ${oldCap} → ${newCap}`);
+      await this.removeCapability(oldCap).catch(this.error);
       if (!this.hasCapability(newCap)) {
         await this.addCapability(newCap).catch(this.error);
       }
@@ -133,248 +288,672 @@ class AirconDevice extends Homey.Device {
   }
 
   /**
-   * Fetch command definitions and extract mandatory/ancillary parameters
+   * Adapt the capabilities to the model once its command definitions are known
+   * @param {Object} commands - Result of HonCommand.fromDefinitions()
+   */
+  async onCommandDefinitions(commands) {
+    if (!commands.settings) {
+      this.error('No settings command in the command definitions');
+      return;
+    }
+    await this._syncCapabilities(commands.settings);
+    await this._checkSchedule();
+  }
+
+  /**
+   * Add or remove controls to match the parameters this model's settings
+   * command exposes, and take the setpoint ranges from the tempSel and
+   * tempSelF definitions
+   * @param {HonCommand} settings - The model's settings command
    * @private
    */
-  async _fetchCommandDefinitions() {
-    try {
-      const api = this._getApi();
-      if (!api) return;
-
-      // Get appliance info first
-      const appliances = await api.getAppliances();
-      const appliance = appliances.find(a => a.macAddress?.split('#')[0] === this.deviceId);
-
-      if (appliance) {
-        const commands = await api.getCommandDefinitions(appliance);
-
-        // Extract applianceModel.options for API calls
-        const appModel = commands.applianceModel || {};
-        this._applianceOptions = appModel.options || commands.options || {};
-
-        // Store the appliance info for API calls
-        this._applianceInfo = appliance;
-
-        // Find the settings command and extract all mandatory parameters + ancillary parameters
-        const settingsCmd = commands.settings?.setParameters || {};
-        const parametersSection = settingsCmd.parameters || {};
-        const ancillarySection = settingsCmd.ancillaryParameters || {};
-
-        // Extract mandatory parameters from the 'parameters' section
-        const mandatoryParams = {};
-        for (const [name, param] of Object.entries(parametersSection)) {
-          if (param.mandatory === 1) {
-            if (param.typology === 'fixed') {
-              mandatoryParams[name] = param.fixedValue;
-            } else if (param.defaultValue !== undefined) {
-              mandatoryParams[name] = param.defaultValue;
-            }
-          }
-        }
-        // Extract ALL ancillary parameters (Python sends all, not just mandatory)
-        // Exclude programRules as Python does
-        const ancillaryParams = {};
-        for (const [name, param] of Object.entries(ancillarySection)) {
-          if (name === 'programRules') continue; // Skip programRules like Python does
-          if (param.typology === 'fixed' && param.fixedValue !== undefined) {
-            ancillaryParams[name] = param.fixedValue;
-          } else if (param.defaultValue !== undefined) {
-            ancillaryParams[name] = param.defaultValue;
-          }
-        }
-        // Store for use in commands
-        this._mandatoryParams = mandatoryParams;
-        this._ancillaryParams = ancillaryParams;
-      }
-    } catch (error) {
-      this.error('Failed to fetch command definitions:', error.message);
+  async _syncCapabilities(settings) {
+    for (const [capability, params] of Object.entries(CAPABILITY_PARAMETERS)) {
+      const supported = params.some((param) => settings.has(param));
+      await this._setCapabilityPresent(capability, supported);
     }
+    this._registerCapabilityListeners();
+    await this._syncVanePositions(settings);
+    await this._syncFanSpeeds(settings);
+
+    this._celsiusRange = rangeOf(settings.get('tempSel')) || this._celsiusRange;
+    this._fahrenheitRange = rangeOf(settings.get(FAHRENHEIT_SETPOINT));
+    this._antiFreezeSupported = settings.has('10degreeHeatingStatus');
+    await this._applySetpointRange();
   }
 
   /**
-   * Register listeners for capability changes
+   * Setpoint range in °C. Capabilities always hold °C (Homey converts them
+   * for display); set to °F, a model with its own °F setpoint moves in its
+   * °F step instead of its °C step.
+   * @returns {{min: number, max: number, step: number}}
    * @private
    */
-  _registerCapabilityListeners() {
-    // On/Off
-    this.registerCapabilityListener('onoff', async (value) => {
-      this.log(`Setting onoff to: ${value}`);
-      await this._setOnOff(value);
-    });
+  _setpointRange() {
+    const celsius = this._celsiusRange;
+    if (this._setpointParameter() !== FAHRENHEIT_SETPOINT) return { ...celsius };
+    return { ...celsius, step: Number((this._fahrenheitRange.step * 5 / 9).toFixed(4)) };
+  }
 
-    // Target Temperature
-    this.registerCapabilityListener('target_temperature', async (value) => {
-      this.log(`Setting target_temperature to: ${value}`);
-      await this._setTargetTemperature(value);
-    });
+  /**
+   * Size the setpoint to the model
+   * @private
+   */
+  async _applySetpointRange() {
+    this._temperatureRange = this._setpointRange();
+    const { min, max, step } = this._temperatureRange;
+
+    // Anti-freeze shows 10°C, so keep that within range on models that support it
+    await this.setCapabilityOptions('target_temperature', {
+      min: this._antiFreezeSupported ? Math.min(min, ANTI_FREEZE_TEMPERATURE) : min,
+      max,
+      step,
+      decimals: Number.isInteger(step) ? 0 : 1,
+    }).catch(this.error);
+    this.log(`Setpoint range ${min}-${max} step ${step} °C`);
+  }
+
+  /**
+   * Switch the setpoint between °C and °F steps
+   * @param {string} unit - celsius or fahrenheit
+   * @private
+   */
+  async _setTemperatureUnit(unit) {
+    this._fahrenheit = unit === 'fahrenheit';
+    await this._applySetpointRange();
+    if (this._lastState) {
+      await this._updateCapabilities(this._lastState);
+    }
+  }
+
+  /**
+   * Parameter the setpoint is controlled with: tempSelF when set to °F on
+   * a model that has it, otherwise tempSel
+   * @returns {string}
+   * @private
+   */
+  _setpointParameter() {
+    return this._fahrenheit && this._fahrenheitRange ? FAHRENHEIT_SETPOINT : 'tempSel';
+  }
+
+  /**
+   * Setpoint parameters to send for a setpoint in °C. tempSel is always sent,
+   * in the model's own step; tempSelF as well when it controls the setpoint.
+   * @param {number} temperature
+   * @returns {Object}
+   * @private
+   */
+  _setpointParams(temperature) {
+    const params = { tempSel: String(snapToRange(temperature, this._celsiusRange)) };
+    if (this._setpointParameter() === FAHRENHEIT_SETPOINT) {
+      params[FAHRENHEIT_SETPOINT] = String(snapToRange(Math.round(toFahrenheit(temperature)), this._fahrenheitRange));
+    }
+    return params;
+  }
+
+  /**
+   * Setpoint in °C from hOn state
+   * @param {Object} state
+   * @returns {number|null} null when the state has no usable setpoint
+   * @private
+   */
+  _readSetpoint(state) {
+    // A native °F setpoint is used once the appliance reports it
+    if (this._setpointParameter() === FAHRENHEIT_SETPOINT && this._lastState?.[FAHRENHEIT_SETPOINT] !== undefined) {
+      const fahrenheit = Number(this._extractValue(state[FAHRENHEIT_SETPOINT]));
+      return state[FAHRENHEIT_SETPOINT] === undefined || isNaN(fahrenheit) ? null : Number(toCelsius(fahrenheit).toFixed(2));
+    }
+
+    if (state.tempSel === undefined) return null;
+    const celsius = Number(this._extractValue(state.tempSel));
+    return isNaN(celsius) ? null : celsius;
+  }
+
+  /**
+   * Offer the louver positions the model's settings command allows
+   * @param {HonCommand} settings - The model's settings command
+   * @private
+   */
+  async _syncVanePositions(settings) {
+    this._vanePositions = {};
+    for (const [capability, vane] of Object.entries(VANES)) {
+      const parameter = settings.get(vane.param);
+      if (!this.hasCapability(capability)) continue;
+
+      const ids = parameter instanceof EnumParameter ? parameter.values : Object.keys(vane.positions);
+      this._vanePositions[capability] = ids;
+      await this.setCapabilityOptions(capability, {
+        values: ids.map((id) => ({ id, title: this._vanePositionTitle(capability, id) })),
+      }).catch(this.error);
+    }
+  }
+
+  /**
+   * Take the fan speeds from the model's windSpeed definition and size the
+   * fan level capability to them
+   * @param {HonCommand} settings - The model's settings command
+   * @private
+   */
+  async _syncFanSpeeds(settings) {
+    const windSpeed = settings.get('windSpeed');
+    if (windSpeed instanceof EnumParameter && windSpeed.values.length > 0) {
+      this._fanSpeeds = this._parseFanSpeeds(windSpeed.values);
+    }
+
+    const { auto, levels } = this._fanSpeeds;
+    this.log(`Fan speeds: ${levels.join(', ')} (slow to fast), auto ${auto ?? 'not supported'}`);
+    if (this.hasCapability('hon_fan_level') && levels.length > 0) {
+      await this.setCapabilityOptions('hon_fan_level', { min: 1, max: levels.length, step: 1 }).catch(this.error);
+    }
+  }
+
+  /**
+   * Split windSpeed values into the auto value and the speed levels
+   * @param {Array<string>} values - windSpeed enum values
+   * @returns {{auto: string|null, levels: Array<string>}} levels ordered slow to fast
+   * @private
+   */
+  _parseFanSpeeds(values) {
+    const auto = AUTO_WIND_SPEEDS.find((value) => values.includes(value)) || null;
+    const levels = values
+      .filter((value) => value !== auto && Number.isFinite(Number(value)))
+      .sort((a, b) => Number(b) - Number(a));
+    return { auto, levels };
+  }
+
+  /**
+   * Fan mode shown for a windSpeed value
+   * @param {*} windSpeed
+   * @returns {string}
+   * @private
+   */
+  _windSpeedToFanMode(windSpeed) {
+    const value = String(Number(windSpeed));
+    if (HON_TO_FAN_MODE[value]) return HON_TO_FAN_MODE[value];
+    if (!this._fanSpeeds.levels.includes(value)) return 'auto';
+    return Number(value) > 3 ? 'low' : 'high';
+  }
+
+  /**
+   * windSpeed value for a fan mode; on models without that exact speed the
+   * nearest level is used
+   * @param {string} fanMode
+   * @returns {string}
+   * @private
+   */
+  _fanModeToWindSpeed(fanMode) {
+    const { auto, levels } = this._fanSpeeds;
+    if (fanMode === 'auto') return auto ?? levels[0];
+
+    const value = FAN_MODE_TO_HON[fanMode];
+    if (levels.includes(value) || levels.length === 0) return value;
+    if (fanMode === 'low') return levels[0];
+    if (fanMode === 'high') return levels[levels.length - 1];
+    return levels[Math.floor(levels.length / 2)];
+  }
+
+  /**
+   * windSpeed to send when the fan isn't being changed: the reported speed,
+   * so speeds without a fan mode of their own survive other changes
+   * @returns {string}
+   * @private
+   */
+  _currentWindSpeed() {
+    const reported = this._lastState?.windSpeed !== undefined
+      ? String(Number(this._extractValue(this._lastState.windSpeed)))
+      : null;
+    const { auto, levels } = this._fanSpeeds;
+    const fanMode = this._currentFanMode() || 'auto';
+
+    // The reported speed only counts if the capability still shows it
+    if (reported && (reported === auto || levels.includes(reported)) && this._windSpeedToFanMode(reported) === fanMode) {
+      return reported;
+    }
+    return this._fanModeToWindSpeed(fanMode);
+  }
 
-    // Thermostat Mode (system capability, replaces hon_hvac_mode)
+  /**
+   * Current mode: the capability, or the last reported state on models without it
+   * @returns {string|null}
+   * @private
+   */
+  _currentHvacMode() {
     if (this.hasCapability('thermostat_mode')) {
-      this.registerCapabilityListener('thermostat_mode', async (value) => {
-        this.log(`Setting thermostat_mode to: ${value}`);
-        await this._setHvacMode(value);
-      });
+      return this.getCapabilityValue('thermostat_mode');
     }
+    const state = this._lastState || {};
+    if (Number(this._extractValue(state['10degreeHeatingStatus'])) === 1) return '10_heating';
+    if (state.machMode === undefined) return null;
+    return HON_TO_HVAC_MODE[Number(this._extractValue(state.machMode))] || 'auto';
+  }
 
-    // Fan Mode (system capability, replaces hon_fan_speed)
+  /**
+   * Current fan mode: the capability, or the last reported state on models without it
+   * @returns {string|null}
+   * @private
+   */
+  _currentFanMode() {
     if (this.hasCapability('fan_mode')) {
-      this.registerCapabilityListener('fan_mode', async (value) => {
-        this.log(`Setting fan_mode to: ${value}`);
-        await this._setFanSpeed(value);
-      });
+      return this.getCapabilityValue('fan_mode');
     }
+    const windSpeed = this._lastState?.windSpeed;
+    return windSpeed === undefined ? null : this._windSpeedToFanMode(this._extractValue(windSpeed));
+  }
 
-    // Swing Mode (system capability, replaces hon_swing_mode)
-    if (this.hasCapability('swing_mode')) {
-      this.registerCapabilityListener('swing_mode', async (value) => {
-        this.log(`Setting swing_mode to: ${value}`);
-        await this._setSwingMode(value);
-      });
+  /**
+   * Title of a louver position
+   * @param {string} capability - hon_vane_vertical or hon_vane_horizontal
+   * @param {string} id - hOn value
+   * @returns {Object} Localized title
+   * @private
+   */
+  _vanePositionTitle(capability, id) {
+    return VANES[capability].positions[id] || { en: `Position (value ${id})`, nl: `Stand (waarde ${id})` };
+  }
+
+  /**
+   * Louver positions this model supports, for flow card autocomplete
+   * @param {string} capability - hon_vane_vertical or hon_vane_horizontal
+   * @returns {Array<{id: string, name: string}>}
+   */
+  getVanePositions(capability) {
+    const language = this.homey.i18n.getLanguage();
+    const ids = this._vanePositions?.[capability] || Object.keys(VANES[capability].positions);
+    return ids.map((id) => {
+      const title = this._vanePositionTitle(capability, id);
+      return { id, name: title[language] || title.en };
+    });
+  }
+
+  /**
+   * Add or remove sensors depending on what the appliance reports
+   * @param {Object} state - Full polled state
+   * @private
+   */
+  async _syncSensorCapabilities(state) {
+    for (const [capability, params] of Object.entries(SENSOR_PARAMETERS)) {
+      const supported = params.some((param) => state[param] !== undefined);
+      await this._setCapabilityPresent(capability, supported);
     }
+    this._sensorsChecked = true;
+  }
 
-    // Eco Pilot
-    if (this.hasCapability('hon_eco_pilot')) {
-      this.registerCapabilityListener('hon_eco_pilot', async (value) => {
-        this.log(`Setting hon_eco_pilot to: ${value}`);
-        await this._setToggle('humanSensingStatus', ECO_PILOT_TO_HON[value] || '0');
-      });
+  /**
+   * Add or remove one capability, forgetting the listener of a removed one
+   * @param {string} capability
+   * @param {boolean} present
+   * @protected
+   */
+  async _setCapabilityPresent(capability, present) {
+    await super._setCapabilityPresent(capability, present);
+    if (!present) {
+      this._capabilityListeners.delete(capability);
+    }
+  }
+
+  /**
+   * Register a capability listener once, if the device has the capability
+   * @param {string} capability
+   * @param {Function} handler
+   * @private
+   */
+  _listen(capability, handler) {
+    if (!this.hasCapability(capability) || this._capabilityListeners.has(capability)) return;
+
+    this._capabilityListeners.add(capability);
+    this.registerCapabilityListener(capability, async (value) => {
+      this.log(`Setting ${capability} to: ${value}`);
+      await handler(value);
+    });
+  }
+
+  /**
+   * Register listeners for capability changes. Safe to call again after
+   * capabilities have been added.
+   * @private
+   */
+  _registerCapabilityListeners() {
+    this._listen('onoff', (value) => this._setOnOff(value));
+    this._listen('target_temperature', (value) => this._setTargetTemperature(value));
+
+    // System capabilities (replace hon_hvac_mode, hon_fan_speed and hon_swing_mode)
+    this._listen('thermostat_mode', (value) => this._setHvacMode(value));
+    this._listen('fan_mode', (value) => this._setFanSpeed(value));
+    this._listen('hon_fan_level', (value) => this.setFanLevel(value));
+    this._listen('swing_mode', (value) => this._setSwingMode(value));
+
+    // Louver positions
+    for (const capability of Object.keys(VANES)) {
+      this._listen(capability, (value) => this.setVanePosition(capability, value));
     }
 
+    // Eco Pilot
+    this._listen('hon_eco_pilot', (value) => this._setToggle('humanSensingStatus', ECO_PILOT_TO_HON[value] || '0'));
+
     // Boolean toggle switches
     for (const [capability, config] of Object.entries(TOGGLE_CAPABILITIES)) {
-      if (this.hasCapability(capability)) {
-        this.registerCapabilityListener(capability, async (value) => {
-          this.log(`Setting ${capability} to: ${value}`);
-          const apiValue = config.inverted ? (!value ? '1' : '0') : (value ? '1' : '0');
-          await this._setToggle(config.param, apiValue);
-        });
-      }
+      this._listen(capability, (value) => this._setToggle(config.param, this._toggleApiValue(capability, value)));
     }
+  }
 
+  /**
+   * API value switching a toggle capability on or off
+   * @param {string} capability
+   * @param {boolean} value
+   * @returns {string}
+   * @private
+   */
+  _toggleApiValue(capability, value) {
+    const on = TOGGLE_CAPABILITIES[capability].inverted ? !value : value;
+    return on ? '1' : '0';
   }
 
   /**
-   * Get the API instance (always fresh from app — never cache, because repair
-   * on any device replaces the shared HonApi instance in app.js)
-   * @returns {HonApi|null}
+   * Toggle capability value of an API value
+   * @param {string} capability
+   * @param {*} apiValue
+   * @returns {boolean}
    * @private
    */
-  _getApi() {
-    return this.homey.app.getApi();
+  _toggleValue(capability, apiValue) {
+    const on = Number(apiValue) === 1;
+    return TOGGLE_CAPABILITIES[capability].inverted ? !on : on;
   }
 
   /**
-   * Start polling for device state
+   * Round a setpoint to the model's step and clamp it to its range
+   * @param {number} value
+   * @returns {number}
    * @private
    */
-  async _startPolling() {
-    // Initial poll
-    await this._pollDeviceState();
+  _normalizeTemperature(value) {
+    return snapToRange(value, this._temperatureRange);
+  }
 
-    // Get interval from settings (seconds), fall back to default
-    const intervalSec = this.getSetting('poll_interval') || (DEFAULT_POLL_INTERVAL / 1000);
-    const intervalMs = Math.max(5, Math.min(3600, intervalSec)) * 1000;
+  /**
+   * Poll slowly while the AC is off
+   * @returns {boolean}
+   * @protected
+   */
+  _isIdle() {
+    return !this.getCapabilityValue('onoff');
+  }
 
-    // Set up polling interval
-    this._pollTimer = this.homey.setInterval(async () => {
-      await this._pollDeviceState();
-    }, intervalMs);
+  /**
+   * Parameters whose change counts as activity
+   * @returns {Array<string>}
+   * @protected
+   */
+  _getActivityParameters() {
+    return ACTIVITY_PARAMETERS;
+  }
 
-    this.log(`Polling started with ${intervalMs}ms interval`);
+  /**
+   * All controls are watched for changes made with the remote or the hOn app
+   * @returns {Array<string>}
+   * @protected
+   */
+  _getControlParameters() {
+    return ACTIVITY_PARAMETERS;
   }
 
   /**
-   * Stop polling
-   * @private
+   * A cleaning program switches the AC off when it ends
+   * @param {Object} previous - Previous full state
+   * @returns {boolean}
+   * @protected
+   */
+  _isApplianceChange(previous) {
+    return Object.keys(CLEANING_PROGRAMS).some((param) => Number(this._extractValue(previous[param])) === 1);
+  }
+
+  /**
+   * Someone changed the AC outside Homey: stop retrying a command that is
+   * still waiting for confirmation, so Homey doesn't undo their change
+   * @param {Array<{param: string, from: *, to: *}>} changes
+   */
+  async onExternalChange(changes) {
+    await this._overrideSchedule();
+
+    const confirmation = this._confirmation;
+    if (!confirmation) return;
+
+    this.log('Dropping unconfirmed command after a change outside Homey');
+    this.homey.clearTimeout(confirmation.timer);
+    this._confirmation = null;
+  }
+
+  /**
+   * Trigger the parameter flow card for each changed parameter, and the
+   * cards of toggles that were switched
+   * @param {Array<{param: string, from: *, to: *}>} changes
+   */
+  async onParameterChange(changes) {
+    const card = this.homey.flow.getDeviceTriggerCard('hon_parameter_changed');
+    for (const { param, from, to } of changes) {
+      await card.trigger(this, { name: param, old_value: String(from), new_value: String(to) }, { name: param }).catch(this.error);
+    }
+
+    // Toggle cards follow what the appliance reports, so they also run for changes Homey made
+    for (const [capability, config] of Object.entries(TOGGLE_CAPABILITIES)) {
+      const change = changes.find(({ param }) => param === config.param);
+      if (!change || !this.hasCapability(capability)) continue;
+      await this._triggerCapabilityCards(capability, this._toggleValue(capability, change.from), this._toggleValue(capability, change.to));
+    }
+  }
+
+  /**
+   * Energy capabilities, removed again if the AC doesn't report its consumption
+   * @returns {Array<string>}
+   * @protected
+   */
+  _getEnergyCapabilities() {
+    return ENERGY_CAPABILITIES;
+  }
+
+  /**
+   * Apply a state, holding back parameters of a command that is not confirmed yet
+   * @param {Object} state - Full device state
+   * @param {boolean} fromPoll
+   * @protected
    */
-  _stopPolling() {
-    if (this._pollTimer) {
-      this.homey.clearInterval(this._pollTimer);
-      this._pollTimer = null;
-      this.log('Polling stopped');
+  async _applyState(state, fromPoll) {
+    if (fromPoll && !this._sensorsChecked) {
+      await this._syncSensorCapabilities(state);
     }
+    await this._updateCapabilities(this._confirmState(state));
   }
 
   /**
-   * Poll the device state from the API
+   * Expected API parameter values after a batch of changes has been applied
+   * @param {Object} changes
+   * @returns {Object} param -> {capability, value, matches(apiValue)}
    * @private
    */
-  async _pollDeviceState() {
-    // Skip poll if a command was recently sent (prevents stale state overwriting UI)
-    if (Date.now() < this._skipPollUntil) {
-      this.log('Skipping poll (command recently sent)');
-      return;
+  _buildExpectations(changes) {
+    const expected = {};
+    const expect = (param, capability, value, matches) => {
+      expected[param] = { capability, value: String(value), matches };
+    };
+
+    if (changes.onoff === false) {
+      expect('onOffStatus', 'onoff', false, (v) => Number(v) === 0);
+      return expected;
+    }
+    if (changes.onoff === true) {
+      expect('onOffStatus', 'onoff', true, (v) => Number(v) === 1);
     }
 
-    let api = this._getApi();
+    const mode = changes.thermostat_mode;
+    if (mode === '10_heating') {
+      expect('machMode', 'thermostat_mode', mode, (v) => Number(v) === 4);
+      expect('10degreeHeatingStatus', 'thermostat_mode', mode, (v) => Number(v) === 1);
+    } else if (mode) {
+      expect('machMode', 'thermostat_mode', mode, (v) => HON_TO_HVAC_MODE[Number(v)] === mode);
+    }
 
-    if (!api) {
-      // API not created yet — try re-initializing (may recover via refresh token)
-      this.log('API not available, attempting re-initialization...');
-      try {
-        await this.homey.app._initializeApi();
-        api = this._getApi();
-      } catch (e) {
-        this.error('Re-initialization failed:', e.message);
-      }
-      if (!api) {
-        await this.setUnavailable('Not authenticated. Use Repair to reconnect.').catch(this.error);
-        return;
-      }
+    if (changes.target_temperature !== undefined) {
+      const temperature = this._normalizeTemperature(changes.target_temperature);
+      const param = this._setpointParameter();
+      const value = Number(this._setpointParams(temperature)[param]);
+      expect(param, 'target_temperature', temperature, (v) => Number(v) === value);
     }
 
-    // Don't check isAuthenticated() here — let _apiRequest handle refresh via
-    // _ensureAuthenticated(). That way expired tokens trigger a refresh attempt
-    // instead of giving up immediately.
+    const windSpeed = changes.wind_speed;
+    if (windSpeed) {
+      // Models may report either auto value
+      const matches = windSpeed.value === this._fanSpeeds.auto
+        ? (v) => this._windSpeedToFanMode(v) === 'auto'
+        : (v) => Number(v) === Number(windSpeed.value);
+      expect('windSpeed', windSpeed.capability, windSpeed.requested, matches);
+    }
 
-    try {
-      const state = await api.getApplianceState(this.deviceId);
+    const swingMode = changes.swing_mode;
+    if (swingMode) {
+      const horizontal = swingMode === 'horizontal' || swingMode === 'both';
+      const vertical = swingMode === 'vertical' || swingMode === 'both';
+      expect('windDirectionHorizontal', 'swing_mode', swingMode, (v) => (Number(v) === 7) === horizontal);
+      expect('windDirectionVertical', 'swing_mode', swingMode, (v) => (Number(v) === 8) === vertical);
+    }
 
-      if (!state) {
-        this.log('No state received');
-        return;
+    for (const [param, apiValue] of Object.entries(changes.params || {})) {
+      const matches = (v) => String(v) === String(apiValue) || Number(v) === Number(apiValue);
+      const toggle = Object.entries(TOGGLE_CAPABILITIES).find(([, config]) => config.param === param);
+      if (toggle) {
+        const [capability, config] = toggle;
+        const isOn = Number(apiValue) === 1;
+        expect(param, capability, config.inverted ? !isOn : isOn, matches);
+      } else if (param === 'humanSensingStatus') {
+        expect(param, 'hon_eco_pilot', HON_TO_ECO_PILOT[Number(apiValue)] || 'off', matches);
+      } else if (vaneCapability(param)) {
+        expect(param, vaneCapability(param), apiValue, matches);
+      } else {
+        expect(param, param, apiValue, matches);
       }
+    }
 
-      // Update capabilities from state
-      await this._updateCapabilities(state);
+    return expected;
+  }
 
-      // Mark device as available
-      if (!this.getAvailable()) {
-        await this.setAvailable();
-      }
-    } catch (error) {
-      this.error('Failed to poll device state:', error.message);
+  /**
+   * Wait for the appliance to confirm a sent command. Polls quickly in the
+   * meantime; a newer command keeps the still unconfirmed expectations of
+   * the previous one, since it was built on top of them, and its retry count,
+   * so merging in new changes doesn't restart the retries.
+   * @param {Object} changes - The changes that were sent
+   * @private
+   */
+  _trackCommand(changes) {
+    const previous = this._confirmation;
+    if (previous) {
+      this.homey.clearTimeout(previous.timer);
+    }
+
+    this._confirmation = {
+      changes: previous ? CommandQueue.merge(previous.changes, changes) : changes,
+      expected: { ...(previous?.expected || {}), ...this._buildExpectations(changes) },
+      attempt: previous?.attempt || 0,
+      timer: this.homey.setTimeout(() => {
+        this._onConfirmationTimeout().catch(this.error);
+      }, CONFIRM_TIMEOUT),
+    };
+
+    this._markActive();
+    this.homey.app.requestPoll(this, CONFIRM_POLL_INTERVAL);
+  }
 
-      // Mark device as unavailable after unrecoverable auth failures
-      if (error.message.includes('re-authenticate') || error.message.includes('No refresh token')) {
-        await this.setUnavailable('Authentication failed. Use Repair to reconnect.').catch(this.error);
+  /**
+   * Check a state read against the pending command. Parameters that have not
+   * reached their requested value yet are left out, so the UI keeps showing
+   * the requested values instead of stale cloud state.
+   * @param {Object} state - Full device state
+   * @returns {Object} State to apply to the capabilities
+   * @private
+   */
+  _confirmState(state) {
+    const confirmation = this._confirmation;
+    if (!confirmation) return state;
+
+    for (const [param, expectation] of Object.entries(confirmation.expected)) {
+      // Parameters the appliance doesn't report can't be confirmed; don't wait for them
+      if (state[param] === undefined || expectation.matches(this._extractValue(state[param]))) {
+        delete confirmation.expected[param];
       }
     }
+
+    const unconfirmed = Object.keys(confirmation.expected);
+    if (unconfirmed.length === 0) {
+      this.log('Command confirmed');
+      this.homey.clearTimeout(confirmation.timer);
+      this._confirmation = null;
+      return state;
+    }
+
+    this.homey.app.requestPoll(this, CONFIRM_POLL_INTERVAL);
+    const filtered = { ...state };
+    for (const param of unconfirmed) {
+      delete filtered[param];
+    }
+    return filtered;
   }
 
   /**
-   * Extract value from API response (handles both direct values and {parNewVal, lastUpdate} objects)
-   * @param {*} value
-   * @returns {*}
+   * The appliance did not confirm in time: resend or give up
    * @private
    */
-  _extractValue(value) {
-    if (value && typeof value === 'object') {
-      // API returns {parNewVal: "value", lastUpdate: "timestamp"}
-      if ('parNewVal' in value) {
-        return value.parNewVal;
-      }
-      if ('parValue' in value) {
-        return value.parValue;
-      }
+  async _onConfirmationTimeout() {
+    const confirmation = this._confirmation;
+    if (!confirmation) return;
+
+    const retries = this.getSetting('command_retries') ?? DEFAULT_COMMAND_RETRIES;
+    const unconfirmed = Object.keys(confirmation.expected).join(', ');
+    if (confirmation.attempt >= retries) {
+      await this._failCommand();
+      return;
+    }
+
+    confirmation.attempt++;
+    this.log(`Command not confirmed (${unconfirmed}), retrying ${confirmation.attempt}/${retries}`);
+    try {
+      await this._commandQueue.enqueue(confirmation.changes);
+    } catch (error) {
+      this.error('Retrying command failed:', error.message);
+      await this._failCommand();
+    }
+  }
+
+  /**
+   * Report the unconfirmed part of a command and show the actual state again
+   * @private
+   */
+  async _failCommand() {
+    const confirmation = this._confirmation;
+    if (!confirmation) return;
+
+    this.homey.clearTimeout(confirmation.timer);
+    this._confirmation = null;
+
+    // One report per capability (swing mode spans two parameters)
+    const failed = new Map();
+    for (const { capability, value } of Object.values(confirmation.expected)) {
+      failed.set(capability, value);
+    }
+
+    const card = this.homey.flow.getDeviceTriggerCard('command_failed');
+    for (const [capability, value] of failed) {
+      this.error(`Command not confirmed by the appliance: ${capability} = ${value}`);
+      await card.trigger(this, { capability, value }).catch(this.error);
+    }
+
+    if (this._lastState) {
+      await this._updateCapabilities(this._lastState);
     }
-    return value;
   }
 
   /**
    * Update Homey capabilities from hOn state
    * @param {Object} state - Device state from API
-   * @private
+   * @protected
    */
   async _updateCapabilities(state) {
     // On/Off status
@@ -389,7 +968,7 @@ class AirconDevice extends Homey.Device {
       if (!isNaN(temp)) {
         await this.setCapabilityValue('measure_temperature', temp).catch(this.error);
         if (this.hasCapability('measure_temperature.indoor')) {
-          await this.setCapabilityValue('measure_temperature.indoor', temp).catch(this.error);
+          await this._setThresholdValue('measure_temperature.indoor', temp);
         }
       }
     }
@@ -397,10 +976,10 @@ class AirconDevice extends Homey.Device {
     // Target temperature (show 10°C when anti-freeze is active)
     const is10Heating = Number(this._extractValue(state['10degreeHeatingStatus'])) === 1;
     if (is10Heating) {
-      await this.setCapabilityValue('target_temperature', 10).catch(this.error);
-    } else if (state.tempSel !== undefined) {
-      const temp = Number(this._extractValue(state.tempSel));
-      if (!isNaN(temp) && temp >= 16) {
+      await this.setCapabilityValue('target_temperature', ANTI_FREEZE_TEMPERATURE).catch(this.error);
+    } else {
+      const temp = this._readSetpoint(state);
+      if (temp !== null && temp >= this._temperatureRange.min) {
         await this.setCapabilityValue('target_temperature', temp).catch(this.error);
       }
     }
@@ -419,16 +998,22 @@ class AirconDevice extends Homey.Device {
       // System capability auto-fires thermostat_mode_changed trigger
     }
 
-    // Fan Mode
-    if (state.windSpeed !== undefined && this.hasCapability('fan_mode')) {
-      const speedValue = Number(this._extractValue(state.windSpeed));
-      const mode = HON_TO_FAN_MODE[speedValue] || 'auto';
-      await this.setCapabilityValue('fan_mode', mode).catch(this.error);
-      // System capability auto-fires fan_mode_changed trigger
+    // Fan Mode and level (no level while on auto)
+    if (state.windSpeed !== undefined) {
+      const windSpeed = String(Number(this._extractValue(state.windSpeed)));
+      if (this.hasCapability('fan_mode')) {
+        await this.setCapabilityValue('fan_mode', this._windSpeedToFanMode(windSpeed)).catch(this.error);
+        // System capability auto-fires fan_mode_changed trigger
+      }
+      if (this.hasCapability('hon_fan_level')) {
+        const level = this._fanSpeeds.levels.indexOf(windSpeed) + 1;
+        await this.setCapabilityValue('hon_fan_level', level > 0 ? level : null).catch(this.error);
+      }
     }
 
     // Swing Mode
-    if (this.hasCapability('swing_mode')) {
+    const hasSwing = state.windDirectionHorizontal !== undefined || state.windDirectionVertical !== undefined;
+    if (hasSwing && this.hasCapability('swing_mode')) {
       const horizontal = Number(this._extractValue(state.windDirectionHorizontal));
       const vertical = Number(this._extractValue(state.windDirectionVertical));
       let swingMode = 'off';
@@ -445,6 +1030,14 @@ class AirconDevice extends Homey.Device {
       // System capability auto-fires swing_mode_changed trigger
     }
 
+    // Louver positions
+    for (const [capability, vane] of Object.entries(VANES)) {
+      if (state[vane.param] !== undefined && this.hasCapability(capability)) {
+        const position = String(Number(this._extractValue(state[vane.param])));
+        await this.setCapabilityValue(capability, position).catch(this.error);
+      }
+    }
+
     // Eco Pilot (humanSensingStatus)
     if (state.humanSensingStatus !== undefined && this.hasCapability('hon_eco_pilot')) {
       const prevPilot = this.getCapabilityValue('hon_eco_pilot');
@@ -460,8 +1053,7 @@ class AirconDevice extends Homey.Device {
     // Boolean toggle switches
     for (const [capability, config] of Object.entries(TOGGLE_CAPABILITIES)) {
       if (state[config.param] !== undefined && this.hasCapability(capability)) {
-        const val = Number(this._extractValue(state[config.param])) === 1;
-        await this.setCapabilityValue(capability, config.inverted ? !val : val).catch(this.error);
+        await this.setCapabilityValue(capability, this._toggleValue(capability, this._extractValue(state[config.param]))).catch(this.error);
       }
     }
 
@@ -471,54 +1063,130 @@ class AirconDevice extends Homey.Device {
       if (outdoor !== undefined) {
         const temp = Number(this._extractValue(outdoor));
         if (!isNaN(temp)) {
-          await this.setCapabilityValue('measure_temperature.outdoor', temp).catch(this.error);
+          await this._setThresholdValue('measure_temperature.outdoor', temp);
         }
       }
     }
 
+    // Air quality, on models with the sensors
+    await this._setSensorValue('measure_humidity', state.humidityIndoor);
+    await this._setSensorValue('measure_pm25', state.pm2p5ValueIndoor);
 
+    await this._updateProgram(state);
   }
 
   /**
-   * Set the on/off state
-   * @param {boolean} value
+   * Set a temperature sensor and run its threshold triggers
+   * @param {string} capability
+   * @param {number} value
    * @private
    */
-  async _setOnOff(value) {
-    const api = this._getApi();
-    if (!api) throw new Error('API not available');
-
-    if (value) {
-      // Turn ON using startProgram with current mode
-      const currentMode = this.getCapabilityValue('thermostat_mode') || 'auto';
-      const programName = HVAC_MODE_TO_PROGRAM[currentMode] || 'IOT_AUTO';
-      const machMode = HVAC_MODE_TO_HON[currentMode] ?? 0;
-      const params = { ...(this._mandatoryParams || {}) };
-      params.onOffStatus = '1';
-      params.machMode = String(machMode);
-      this.log(`Turning ON with startProgram: ${programName}, machMode: ${machMode}`);
-      await api.sendCommand(this.deviceId, 'startProgram', params, {
-        programName: programName,
-        ancillaryParameters: this._ancillaryParams || {},
-        applianceOptions: this._applianceOptions || {},
-      });
-    } else {
-      // Turn OFF using stopProgram - include mandatory params (API requires non-empty parameters)
-      const params = { ...(this._mandatoryParams || {}) };
-      params.onOffStatus = '0';
-      this.log('Turning OFF with stopProgram');
-      await api.sendCommand(this.deviceId, 'stopProgram', params, {
-        ancillaryParameters: this._ancillaryParams || {},
-        applianceOptions: this._applianceOptions || {},
-      });
+  async _setThresholdValue(capability, value) {
+    const previous = this.getCapabilityValue(capability);
+    await this.setCapabilityValue(capability, value).catch(this.error);
+    await this._triggerCapabilityCards(capability, previous, value, { temperature: value });
+  }
+
+  /**
+   * Run the generated trigger cards of a capability after its value changed;
+   * each card's run listener decides whether the change is one it runs for
+   * @param {string} capability
+   * @param {*} previous
+   * @param {*} value
+   * @param {Object} [tokens]
+   * @private
+   */
+  async _triggerCapabilityCards(capability, previous, value, tokens = {}) {
+    if (previous === null || previous === undefined || previous === value) return;
+
+    for (const card of FLOW_CARDS) {
+      if (card.type !== 'trigger' || card.capability !== capability) continue;
+      await this.homey.flow.getDeviceTriggerCard(card.id)
+        .trigger(this, tokens, { previous, value })
+        .catch(this.error);
+    }
+  }
+
+  /**
+   * Set a numeric sensor capability from a state parameter, if both exist
+   * @param {string} capability
+   * @param {*} raw - State parameter
+   * @private
+   */
+  async _setSensorValue(capability, raw) {
+    if (raw === undefined || !this.hasCapability(capability)) return;
+
+    const value = Number(this._extractValue(raw));
+    if (!isNaN(value)) {
+      await this.setCapabilityValue(capability, value).catch(this.error);
     }
+  }
 
-    // Skip regular polls for 10s, then do a fresh poll
-    this._skipPollUntil = Date.now() + 10000;
-    this.homey.setTimeout(() => {
-      this._skipPollUntil = 0;
-      this._pollDeviceState().catch(this.error);
-    }, 10000);
+  /**
+   * Show the running program, its remaining time and progress, and trigger
+   * the flow when a cleaning program has finished
+   * @param {Object} state - Device state from API
+   * @private
+   */
+  async _updateProgram(state) {
+    const cleaningParam = Object.keys(CLEANING_PROGRAMS)
+      .find((param) => Number(this._extractValue(state[param])) === 1);
+    const cleaning = cleaningParam ? CLEANING_PROGRAMS[cleaningParam] : null;
+    const reportsCleaning = Object.keys(CLEANING_PROGRAMS).some((param) => state[param] !== undefined);
+
+    // Outside cleaning the running program is the one of the current mode
+    let program = cleaning;
+    if (!program) {
+      const mode = this._currentHvacMode();
+      program = this.getCapabilityValue('onoff') ? HVAC_MODE_TO_PROGRAM[mode] : null;
+    }
+    const name = program ? this._formatProgramName(program) : this.homey.__('program.none');
+    await this.setCapabilityValue('hon_program', name).catch(this.error);
+
+    let remaining;
+    if (state.remainingTimeMM !== undefined && this.hasCapability('hon_remaining_time')) {
+      remaining = Number(this._extractValue(state.remainingTimeMM));
+      if (!isNaN(remaining)) {
+        await this.setCapabilityValue('hon_remaining_time', remaining).catch(this.error);
+      }
+    }
+    await this._updateProgramProgress(Boolean(cleaning), remaining);
+
+    if (!reportsCleaning) return;
+    const previous = this._cleaningProgram;
+    this._cleaningProgram = cleaning;
+    if (previous && previous !== cleaning) {
+      this.log(`Cleaning program ${previous} finished`);
+      if (this.hasCapability('hon_program_progress')) {
+        await this.setCapabilityValue('hon_program_progress', 100).catch(this.error);
+      }
+      await this.homey.flow.getDeviceTriggerCard('cleaning_finished')
+        .trigger(this, { program: this._formatProgramName(previous) }).catch(this.error);
+    }
+  }
+
+  /**
+   * Current value of a capability, including changes still waiting in the
+   * command queue; null when the model doesn't have the capability
+   * @param {string} capability
+   * @returns {*}
+   * @private
+   */
+  _desired(capability) {
+    const pending = this._commandQueue.pending;
+    if (pending && pending[capability] !== undefined) {
+      return pending[capability];
+    }
+    return this.hasCapability(capability) ? this.getCapabilityValue(capability) : null;
+  }
+
+  /**
+   * Set the on/off state
+   * @param {boolean} value
+   * @private
+   */
+  async _setOnOff(value) {
+    await this._enqueue({ onoff: value });
   }
 
   /**
@@ -527,41 +1195,13 @@ class AirconDevice extends Homey.Device {
    * @private
    */
   async _setTargetTemperature(value) {
-    const api = this._getApi();
-    if (!api) throw new Error('API not available');
-
-    // Clamp to 16-30 for normal modes (10 is only valid in anti-freeze)
-    const currentMode = this.getCapabilityValue('thermostat_mode') || 'auto';
-    if (currentMode === '10_heating') {
+    // Clamp to the model's range for normal modes (10 is only valid in anti-freeze)
+    if (this._desired('thermostat_mode') === '10_heating') {
       this.log('Temperature cannot be changed in anti-freeze mode');
       throw new Error('Temperature is fixed at 10°C in anti-freeze mode');
     }
-    if (value < 16) value = 16;
-    if (value > 30) value = 30;
 
-    // Get current values
-    const machMode = HVAC_MODE_TO_HON[currentMode] ?? 0;
-    const currentFanMode = this.getCapabilityValue('fan_mode') || 'auto';
-    const windSpeed = FAN_MODE_TO_HON[currentFanMode] ?? 4;
-
-    // Start with all mandatory parameters
-    const params = { ...(this._mandatoryParams || {}) };
-    params.onOffStatus = '1';
-    params.tempSel = String(Math.round(value));
-    params.machMode = String(machMode);
-    params.windSpeed = String(windSpeed);
-
-    await api.sendCommand(this.deviceId, 'settings', params, {
-      ancillaryParameters: this._ancillaryParams || {},
-      applianceOptions: this._applianceOptions || {},
-    });
-
-    // Skip regular polls for 10s, then do a fresh poll
-    this._skipPollUntil = Date.now() + 10000;
-    this.homey.setTimeout(() => {
-      this._skipPollUntil = 0;
-      this._pollDeviceState().catch(this.error);
-    }, 10000);
+    await this._enqueue({ target_temperature: this._normalizeTemperature(value) });
   }
 
   /**
@@ -570,224 +1210,664 @@ class AirconDevice extends Homey.Device {
    * @private
    */
   async _setHvacMode(value) {
-    const api = this._getApi();
-    if (!api) throw new Error('API not available');
+    if (HVAC_MODE_TO_HON[value] === undefined) {
+      throw new Error(`Unknown HVAC mode: ${value}`);
+    }
 
-    // Anti-freeze mode uses startProgram with IOT_10_HEATING
-    if (value === '10_heating') {
-      const params = { ...(this._mandatoryParams || {}) };
-      params.onOffStatus = '1';
-      params.machMode = '4'; // Heat mode
-      params['10degreeHeatingStatus'] = '1';
+    await this._enqueue({ thermostat_mode: value });
+  }
 
-      this.log('Starting IOT_10_HEATING program');
-      await api.sendCommand(this.deviceId, 'startProgram', params, {
-        programName: 'IOT_10_HEATING',
-        ancillaryParameters: this._ancillaryParams || {},
-        applianceOptions: this._applianceOptions || {},
-      });
+  /**
+   * Set the fan speed
+   * @param {string} value
+   * @private
+   */
+  async _setFanSpeed(value) {
+    await this._enqueue({ wind_speed: this._windSpeedChange(value) });
+  }
 
-      // Immediately update UI without waiting for poll
-      await this.setCapabilityValue('target_temperature', 10).catch(this.error);
-      await this.setCapabilityValue('onoff', true).catch(this.error);
+  /**
+   * windSpeed change for a fan mode
+   * @param {string} value
+   * @returns {Object}
+   * @private
+   */
+  _windSpeedChange(value) {
+    if (value !== 'auto' && FAN_MODE_TO_HON[value] === undefined) {
+      throw new Error(`Unknown fan mode: ${value}`);
+    }
+    return { value: this._fanModeToWindSpeed(value), capability: 'fan_mode', requested: value };
+  }
+
+  /**
+   * Set the fan to one of the model's speed levels
+   * @param {number} level - 1 (slowest) to the number of levels
+   */
+  async setFanLevel(level) {
+    const windSpeed = this._fanSpeeds.levels[Math.round(level) - 1];
+    if (windSpeed === undefined) {
+      throw new Error(`Unknown fan level: ${level}`);
+    }
+
+    await this._enqueue({
+      wind_speed: { value: windSpeed, capability: 'hon_fan_level', requested: Math.round(level) },
+    });
+  }
 
-      // Skip regular polls for 10s, then do a fresh poll
-      this._skipPollUntil = Date.now() + 10000;
-      this.homey.setTimeout(() => {
-        this._skipPollUntil = 0;
-        this._pollDeviceState().catch(this.error);
-      }, 10000);
+  /**
+   * Set the swing mode
+   * @param {string} value
+   * @private
+   */
+  async _setSwingMode(value) {
+    if (!SWING_MODE_VANES[value]) {
+      throw new Error(`Unknown swing mode: ${value}`);
+    }
+
+    await this._enqueue({ swing_mode: value });
+  }
+
+  /**
+   * Change several controls in one command; fields left out keep their
+   * current value
+   * @param {Object} climate - {onoff, thermostat_mode, target_temperature,
+   *   fan_mode, swing_mode, toggles: {capability: boolean}}
+   */
+  async setClimate(climate) {
+    // Switching off ignores the rest, as the AC can't be configured while off
+    if (climate.onoff === false) {
+      await this._enqueue({ onoff: false });
       return;
     }
 
-    const machMode = HVAC_MODE_TO_HON[value];
-    if (machMode === undefined) {
-      throw new Error(`Unknown HVAC mode: ${value}`);
+    const changes = {};
+    if (climate.onoff === true) {
+      changes.onoff = true;
+    }
+    if (climate.thermostat_mode !== undefined) {
+      if (HVAC_MODE_TO_HON[climate.thermostat_mode] === undefined) {
+        throw new Error(`Unknown HVAC mode: ${climate.thermostat_mode}`);
+      }
+      changes.thermostat_mode = climate.thermostat_mode;
+    }
+    if (climate.target_temperature !== undefined) {
+      if ((changes.thermostat_mode || this._desired('thermostat_mode')) === '10_heating') {
+        throw new Error('Temperature is fixed at 10°C in anti-freeze mode');
+      }
+      changes.target_temperature = this._normalizeTemperature(climate.target_temperature);
+    }
+    if (climate.fan_mode !== undefined) {
+      changes.wind_speed = this._windSpeedChange(climate.fan_mode);
+    }
+    if (climate.swing_mode !== undefined) {
+      if (!SWING_MODE_VANES[climate.swing_mode]) {
+        throw new Error(`Unknown swing mode: ${climate.swing_mode}`);
+      }
+      changes.swing_mode = climate.swing_mode;
+    }
+    for (const [capability, value] of Object.entries(climate.toggles || {})) {
+      if (!TOGGLE_CAPABILITIES[capability] || !this.hasCapability(capability)) {
+        throw new Error(this.homey.__('errors.command_not_supported'));
+      }
+      changes.params = { ...changes.params, [TOGGLE_CAPABILITIES[capability].param]: this._toggleApiValue(capability, value) };
     }
 
-    // Use startProgram to change mode (ensures 10degreeHeating is turned off)
-    let currentTemp = this.getCapabilityValue('target_temperature') || 16;
-    if (currentTemp < 16) currentTemp = 16; // Reset from anti-freeze display temp
-    const currentFanMode = this.getCapabilityValue('fan_mode') || 'auto';
-    const windSpeed = FAN_MODE_TO_HON[currentFanMode] ?? 5;
-    const programName = HVAC_MODE_TO_PROGRAM[value] || 'IOT_AUTO';
+    if (Object.keys(changes).length === 0) return;
+    this.log(`Setting climate: ${Object.keys(changes).join(', ')}`);
+    await this._enqueue(changes);
+  }
 
-    const params = { ...(this._mandatoryParams || {}) };
-    params.onOffStatus = '1';
-    params.machMode = String(machMode);
-    params.tempSel = String(Math.round(currentTemp));
-    params.windSpeed = String(windSpeed);
-    params['10degreeHeatingStatus'] = '0';
-
-    this.log(`Changing HVAC mode via startProgram: ${programName}, machMode=${machMode}`);
-    await api.sendCommand(this.deviceId, 'startProgram', params, {
-      programName: programName,
-      ancillaryParameters: this._ancillaryParams || {},
-      applianceOptions: this._applianceOptions || {},
-    });
+  /**
+   * Run a program from the model's command definitions, e.g. self-clean
+   * @param {string} programName - Program id from getPrograms()
+   */
+  async runProgram(programName) {
+    const name = String(programName).toUpperCase();
+    if (!this._commands?.programs?.[name]) {
+      throw new Error(this.homey.__('errors.command_not_supported'));
+    }
 
-    // Immediately update UI without waiting for poll
-    await this.setCapabilityValue('target_temperature', currentTemp).catch(this.error);
-    await this.setCapabilityValue('onoff', true).catch(this.error);
+    await this._enqueue({ program: name });
+  }
 
-    // Skip regular polls for 10s, then do a fresh poll
-    this._skipPollUntil = Date.now() + 10000;
-    this.homey.setTimeout(() => {
-      this._skipPollUntil = 0;
-      this._pollDeviceState().catch(this.error);
-    }, 10000);
+  /**
+   * Set a louver to a fixed position or to swing
+   * @param {string} capability - hon_vane_vertical or hon_vane_horizontal
+   * @param {string} position - hOn value of the position
+   */
+  async setVanePosition(capability, position) {
+    const vane = VANES[capability];
+    const allowed = this._vanePositions?.[capability] || Object.keys(vane.positions);
+    if (!allowed.includes(String(position))) {
+      throw new Error(`Unknown ${capability} position: ${position}`);
+    }
+
+    await this._setToggle(vane.param, String(position));
   }
 
   /**
-   * Set the fan speed
-   * @param {string} value
+   * Louver parameters for a swing mode. Louvers that stop swinging go to
+   * their default position; louvers that weren't swinging keep theirs.
+   * Louvers the model doesn't have are left out.
+   * @param {string} swingMode
+   * @returns {Object}
    * @private
    */
-  async _setFanSpeed(value) {
-    const api = this._getApi();
-    if (!api) throw new Error('API not available');
+  _swingParams(swingMode) {
+    const params = {};
+    for (const [capability, vane] of Object.entries(VANES)) {
+      if (!this.hasCapability(capability)) continue;
+
+      const current = this.getCapabilityValue(capability);
+      if (SWING_MODE_VANES[swingMode].includes(capability)) {
+        params[vane.param] = vane.swing;
+      } else {
+        params[vane.param] = current && current !== vane.swing ? current : vane.fixed;
+      }
+    }
+    return params;
+  }
 
-    const windSpeed = FAN_MODE_TO_HON[value];
-    if (windSpeed === undefined) {
-      throw new Error(`Unknown fan mode: ${value}`);
+  /**
+   * Queue changes for the appliance. Changes not made by the schedule
+   * override it until its next block.
+   * @param {Object} changes
+   * @returns {Promise}
+   * @private
+   */
+  _enqueue(changes) {
+    if (!this._applyingSchedule) {
+      this._overrideSchedule().catch(this.error);
     }
+    return this._commandQueue.enqueue(changes);
+  }
 
-    // Get current values
-    const currentTemp = this.getCapabilityValue('target_temperature') || 16;
-    const currentMode = this.getCapabilityValue('thermostat_mode') || 'auto';
-    const machMode = HVAC_MODE_TO_HON[currentMode] ?? 0;
+  /**
+   * Weekly schedule of this AC
+   * @returns {{enabled: boolean, blocks: Array<Object>}}
+   */
+  getSchedule() {
+    return this.getStoreValue('schedule') || { enabled: false, blocks: [] };
+  }
 
-    // Start with all mandatory parameters
-    const params = { ...(this._mandatoryParams || {}) };
-    params.onOffStatus = '1';
-    params.tempSel = String(Math.round(currentTemp));
-    params.machMode = String(machMode);
-    params.windSpeed = String(windSpeed);
-    // Preserve anti-freeze mode if active
-    if (currentMode === '10_heating') {
-      params['10degreeHeatingStatus'] = '1';
+  /**
+   * What schedule blocks can set on this model, for the settings page
+   * @returns {Object}
+   */
+  getScheduleOptions() {
+    return {
+      modes: this.hasCapability('thermostat_mode') ? Object.keys(HVAC_MODE_TO_HON) : [],
+      fanModes: this.hasCapability('fan_mode') ? ['auto', 'low', 'medium', 'high'] : [],
+      toggles: this.getToggles(),
+      temperature: { ...this._temperatureRange, units: '°C' },
+    };
+  }
+
+  /**
+   * Toggle capabilities of this model with their titles
+   * @returns {Array<{id: string, name: string}>}
+   */
+  getToggles() {
+    const language = this.homey.i18n.getLanguage();
+    return Object.keys(TOGGLE_CAPABILITIES)
+      .filter((capability) => this.hasCapability(capability))
+      .map((capability) => {
+        const titles = this.homey.manifest?.capabilities?.[capability]?.title || {};
+        return { id: capability, name: titles[language] || titles.en || capability };
+      });
+  }
+
+  /**
+   * Replace the weekly schedule
+   * @param {Object} schedule - {enabled, blocks}, see WeeklySchedule
+   * @throws {Error} code INVALID_SCHEDULE
+   */
+  async setSchedule(schedule) {
+    const normalized = WeeklySchedule.normalize(schedule);
+    normalized.blocks.forEach((block, index) => this._validateScheduleBlock(block, index));
+
+    this.log(`Schedule saved: ${normalized.blocks.length} block(s), ${normalized.enabled ? 'enabled' : 'disabled'}`);
+    await this.setStoreValue('schedule', normalized);
+    await this.unsetStoreValue('scheduleApplied');
+    await this._checkSchedule();
+  }
+
+  /**
+   * Switch the schedule on or off. Switching it on applies the current block.
+   * @param {boolean} enabled
+   */
+  async setScheduleEnabled(enabled) {
+    const schedule = this.getSchedule();
+    this.log(`Schedule ${enabled ? 'enabled' : 'disabled'}`);
+    await this.setStoreValue('schedule', { ...schedule, enabled });
+    if (enabled) {
+      await this.unsetStoreValue('scheduleApplied');
+      await this.unsetStoreValue('scheduleOverride');
     }
+    await this._checkSchedule();
+  }
 
-    await api.sendCommand(this.deviceId, 'settings', params, {
-      ancillaryParameters: this._ancillaryParams || {},
-      applianceOptions: this._applianceOptions || {},
-    });
+  /**
+   * Leave the AC as it is when the next block starts
+   */
+  async skipScheduleBlock() {
+    const schedule = this.getSchedule();
+    const weekly = this._weeklySchedule(schedule);
+    const next = weekly.next();
+    if (!schedule.enabled || !next) {
+      throw new Error(this.homey.__('errors.schedule_not_active'));
+    }
 
-    // Skip regular polls for 10s, then do a fresh poll
-    this._skipPollUntil = Date.now() + 10000;
-    this.homey.setTimeout(() => {
-      this._skipPollUntil = 0;
-      this._pollDeviceState().catch(this.error);
-    }, 10000);
+    const { key } = weekly.current(next.at);
+    this.log(`Schedule: skipping the block of ${key}`);
+    await this.setStoreValue('scheduleSkip', key);
   }
 
   /**
-   * Set the swing mode
-   * @param {string} value
+   * Check the values of a schedule block against what this AC supports
+   * @param {Object} block
+   * @param {number} index
+   * @throws {Error} code INVALID_SCHEDULE
    * @private
    */
-  async _setSwingMode(value) {
-    const api = this._getApi();
-    if (!api) throw new Error('API not available');
-
-    let windDirectionHorizontal;
-    let windDirectionVertical;
-
-    switch (value) {
-      case 'off':
-        windDirectionHorizontal = '0';
-        windDirectionVertical = '5';
-        break;
-      case 'vertical':
-        windDirectionHorizontal = '0';
-        windDirectionVertical = '8';
-        break;
-      case 'horizontal':
-        windDirectionHorizontal = '7';
-        windDirectionVertical = '5';
-        break;
-      case 'both':
-        windDirectionHorizontal = '7';
-        windDirectionVertical = '8';
-        break;
-      default:
-        throw new Error(`Unknown swing mode: ${value}`);
-    }
-
-    // Get current values
-    const currentTemp = this.getCapabilityValue('target_temperature') || 16;
-    const currentMode = this.getCapabilityValue('thermostat_mode') || 'auto';
-    const machMode = HVAC_MODE_TO_HON[currentMode] ?? 0;
-    const currentFanMode = this.getCapabilityValue('fan_mode') || 'auto';
-    const windSpeed = FAN_MODE_TO_HON[currentFanMode] ?? 4;
+  _validateScheduleBlock(block, index) {
+    const problems = [];
+    if (block.thermostat_mode !== undefined && HVAC_MODE_TO_HON[block.thermostat_mode] === undefined) {
+      problems.push(`unknown mode ${block.thermostat_mode}`);
+    }
+    if (block.fan_mode !== undefined && block.fan_mode !== 'auto' && FAN_MODE_TO_HON[block.fan_mode] === undefined) {
+      problems.push(`unknown fan mode ${block.fan_mode}`);
+    }
+    for (const capability of Object.keys(block.toggles || {})) {
+      if (!TOGGLE_CAPABILITIES[capability]) problems.push(`unknown toggle ${capability}`);
+    }
 
-    // Start with all mandatory parameters
-    const params = { ...(this._mandatoryParams || {}) };
-    params.onOffStatus = '1';
-    params.tempSel = String(Math.round(currentTemp));
-    params.machMode = String(machMode);
-    params.windSpeed = String(windSpeed);
-    params.windDirectionHorizontal = windDirectionHorizontal;
-    params.windDirectionVertical = windDirectionVertical;
-    // Preserve anti-freeze mode if active
-    if (currentMode === '10_heating') {
-      params['10degreeHeatingStatus'] = '1';
+    if (problems.length > 0) {
+      const error = new Error(`Invalid schedule: block ${index + 1}: ${problems.join(', ')}`);
+      error.code = 'INVALID_SCHEDULE';
+      throw error;
     }
+  }
 
-    await api.sendCommand(this.deviceId, 'settings', params, {
-      ancillaryParameters: this._ancillaryParams || {},
-      applianceOptions: this._applianceOptions || {},
-    });
+  /**
+   * @param {Object} schedule
+   * @returns {WeeklySchedule}
+   * @private
+   */
+  _weeklySchedule(schedule) {
+    return new WeeklySchedule({ blocks: schedule.blocks, timezone: this.homey.clock.getTimezone() });
+  }
 
-    // Skip regular polls for 10s, then do a fresh poll
-    this._skipPollUntil = Date.now() + 10000;
-    this.homey.setTimeout(() => {
-      this._skipPollUntil = 0;
-      this._pollDeviceState().catch(this.error);
-    }, 10000);
+  /**
+   * Apply the block that has started, unless it was skipped or overridden,
+   * and wait for the next one
+   * @private
+   */
+  async _checkSchedule() {
+    this.homey.clearTimeout(this._scheduleTimer);
+    this._scheduleTimer = null;
+
+    const schedule = this.getSchedule();
+    if (!schedule.enabled || schedule.blocks.length === 0) return;
+
+    const weekly = this._weeklySchedule(schedule);
+    const now = Date.now();
+    const { block, key } = weekly.current(now);
+
+    // Each occurrence of a block is applied once, also across app restarts;
+    // one the AC didn't accept is tried again until the next block starts
+    let retry = false;
+    if (key !== this.getStoreValue('scheduleApplied')) {
+      if (key === this.getStoreValue('scheduleOverride')) {
+        this.log(`Schedule: block of ${key} overridden, leaving the AC as it is`);
+      } else if (key === this.getStoreValue('scheduleSkip')) {
+        this.log(`Schedule: skipping the block of ${key}`);
+        await this.unsetStoreValue('scheduleSkip');
+      } else if (!this._commands) {
+        this.log(`Schedule: block of ${key} waits for the command definitions`);
+        retry = true;
+      } else {
+        retry = !(await this._applyScheduleBlock(block));
+      }
+      if (!retry) {
+        await this.setStoreValue('scheduleApplied', key);
+      }
+    }
+
+    const interval = retry ? SCHEDULE_RETRY_INTERVAL : SCHEDULE_CHECK_INTERVAL;
+    const delay = Math.min(Math.max(weekly.next(now).at - now, 1000), interval);
+    this._scheduleTimer = this.homey.setTimeout(() => {
+      this._checkSchedule().catch(this.error);
+    }, delay);
   }
 
   /**
-   * Generic toggle/setting handler - sends a settings command with one parameter changed
+   * Send a block's settings through the regular setters (merged into one command)
+   * @param {Object} block
+   * @returns {Promise<boolean>} true when every setting was accepted
+   * @private
+   */
+  async _applyScheduleBlock(block) {
+    this.log(`Schedule: applying the block of ${block.time}`);
+
+    const pending = [];
+    this._applyingSchedule = true;
+    try {
+      if (block.onoff === false) {
+        pending.push(this._setOnOff(false));
+      } else {
+        if (block.thermostat_mode !== undefined) pending.push(this._setHvacMode(block.thermostat_mode));
+        if (block.target_temperature !== undefined) pending.push(this._setTargetTemperature(block.target_temperature));
+        if (block.fan_mode !== undefined && this.hasCapability('fan_mode')) pending.push(this._setFanSpeed(block.fan_mode));
+        for (const [capability, value] of Object.entries(block.toggles || {})) {
+          const config = TOGGLE_CAPABILITIES[capability];
+          if (!config || !this.hasCapability(capability)) continue;
+          pending.push(this._setToggle(config.param, this._toggleApiValue(capability, value)));
+        }
+        if (block.onoff === true) pending.push(this._setOnOff(true));
+      }
+    } finally {
+      this._applyingSchedule = false;
+    }
+
+    const results = await Promise.allSettled(pending);
+    const rejected = results.filter((result) => result.status === 'rejected');
+    for (const result of rejected) {
+      this.error('Schedule:', result.reason.message);
+    }
+    return rejected.length === 0;
+  }
+
+  /**
+   * A change outside the schedule keeps it from changing the AC back until
+   * the next block starts
+   * @private
+   */
+  async _overrideSchedule() {
+    const schedule = this.getSchedule();
+    if (!schedule.enabled || schedule.blocks.length === 0) return;
+
+    const { key } = this._weeklySchedule(schedule).current();
+    if (key !== this.getStoreValue('scheduleOverride')) {
+      this.log('Schedule: overridden until the next block');
+      await this.setStoreValue('scheduleOverride', key);
+    }
+  }
+
+  /**
+   * Saved presets
+   * @returns {Array<Object>} {id, name, state}
+   */
+  getPresets() {
+    return this.getStoreValue('presets') || [];
+  }
+
+  /**
+   * Save the current state as a preset; an existing preset with the same
+   * name is updated
+   * @param {string} name
+   * @returns {Object} The saved preset
+   */
+  async savePreset(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error(this.homey.__('errors.preset_name_missing'));
+    }
+
+    const presets = this.getPresets();
+    const existing = presets.find((preset) => preset.name.toLowerCase() === trimmed.toLowerCase());
+    const preset = { id: existing?.id || crypto.randomUUID(), name: trimmed, state: this._captureState() };
+    this.log(`Saving preset ${trimmed}`);
+    await this.setStoreValue('presets', existing
+      ? presets.map((candidate) => (candidate.id === preset.id ? preset : candidate))
+      : [...presets, preset]);
+    return preset;
+  }
+
+  /**
+   * Rename a preset
+   * @param {string} presetId
+   * @param {string} name
+   */
+  async renamePreset(presetId, name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error(this.homey.__('errors.preset_name_missing'));
+    }
+
+    this._findPreset(presetId);
+    await this.setStoreValue('presets', this.getPresets()
+      .map((preset) => (preset.id === presetId ? { ...preset, name: trimmed } : preset)));
+  }
+
+  /**
+   * Delete a preset
+   * @param {string} presetId
+   */
+  async deletePreset(presetId) {
+    this._findPreset(presetId);
+    await this.setStoreValue('presets', this.getPresets().filter((preset) => preset.id !== presetId));
+  }
+
+  /**
+   * Restore a preset in one command
+   * @param {string} presetId
+   */
+  async applyPreset(presetId) {
+    const preset = this._findPreset(presetId);
+    this.log(`Applying preset ${preset.name}`);
+    await this._enqueue(this._presetChanges(preset.state));
+  }
+
+  /**
+   * @param {string} presetId
+   * @returns {Object}
+   * @throws {Error} When there is no such preset
+   * @private
+   */
+  _findPreset(presetId) {
+    const preset = this.getPresets().find((candidate) => candidate.id === presetId);
+    if (!preset) {
+      throw new Error(this.homey.__('errors.preset_not_found'));
+    }
+    return preset;
+  }
+
+  /**
+   * Current state of the controls, as stored in a preset
+   * @returns {Object}
+   * @private
+   */
+  _captureState() {
+    const present = (capability) => this.hasCapability(capability) && this.getCapabilityValue(capability) !== null;
+    const value = (capability) => (present(capability) ? this.getCapabilityValue(capability) : null);
+    const state = {
+      onoff: Boolean(this.getCapabilityValue('onoff')),
+      thermostat_mode: value('thermostat_mode'),
+      target_temperature: this.getCapabilityValue('target_temperature'),
+      wind_speed: this._currentWindSpeed(),
+      fan_mode: value('fan_mode'),
+      swing_mode: value('swing_mode'),
+      vanes: {},
+      toggles: {},
+    };
+
+    for (const capability of Object.keys(VANES)) {
+      if (present(capability)) state.vanes[capability] = this.getCapabilityValue(capability);
+    }
+    for (const capability of Object.keys(TOGGLE_CAPABILITIES)) {
+      if (present(capability)) state.toggles[capability] = this.getCapabilityValue(capability);
+    }
+    if (present('hon_eco_pilot')) {
+      state.hon_eco_pilot = this.getCapabilityValue('hon_eco_pilot');
+    }
+    return state;
+  }
+
+  /**
+   * Changes restoring a preset's state. Mode and power are only included
+   * when they differ, so an AC that is already on gets a settings command.
+   * @param {Object} state - From _captureState()
+   * @returns {Object}
+   * @private
+   */
+  _presetChanges(state) {
+    if (!state.onoff) {
+      return { onoff: false };
+    }
+
+    const changes = { params: {} };
+    if (!this.getCapabilityValue('onoff')) {
+      changes.onoff = true;
+    }
+    if (state.thermostat_mode && this.hasCapability('thermostat_mode')
+      && state.thermostat_mode !== this.getCapabilityValue('thermostat_mode')) {
+      changes.thermostat_mode = state.thermostat_mode;
+    }
+
+    if (state.thermostat_mode !== '10_heating' && typeof state.target_temperature === 'number') {
+      changes.target_temperature = this._normalizeTemperature(state.target_temperature);
+    }
+
+    const { auto, levels } = this._fanSpeeds;
+    if (state.wind_speed === auto || levels.includes(state.wind_speed)) {
+      changes.wind_speed = { value: state.wind_speed, capability: 'fan_mode', requested: this._windSpeedToFanMode(state.wind_speed) };
+    } else if (state.fan_mode) {
+      changes.wind_speed = { value: this._fanModeToWindSpeed(state.fan_mode), capability: 'fan_mode', requested: state.fan_mode };
+    }
+
+    // Louver positions include swinging; the swing mode is the fallback for presets without them
+    const vanes = Object.entries(state.vanes || {}).filter(([capability]) => this.hasCapability(capability));
+    for (const [capability, position] of vanes) {
+      changes.params[VANES[capability].param] = String(position);
+    }
+    if (vanes.length === 0 && state.swing_mode && this.hasCapability('swing_mode')) {
+      changes.swing_mode = state.swing_mode;
+    }
+
+    for (const [capability, value] of Object.entries(state.toggles || {})) {
+      const config = TOGGLE_CAPABILITIES[capability];
+      if (!config || !this.hasCapability(capability)) continue;
+      changes.params[config.param] = this._toggleApiValue(capability, value);
+    }
+    if (state.hon_eco_pilot && this.hasCapability('hon_eco_pilot')) {
+      changes.params.humanSensingStatus = ECO_PILOT_TO_HON[state.hon_eco_pilot] || '0';
+    }
+    return changes;
+  }
+
+  /**
+   * Set a raw hOn parameter, for parameters without a capability
+   * @param {string} name - Parameter of the settings command
+   * @param {*} value - Checked against the parameter's definition
+   * @throws {Error} code INVALID_PARAMETER for a value the definition doesn't allow
+   */
+  async setParameter(name, value) {
+    if (!this._getSettableParameters().has(name)) {
+      throw new Error(this.homey.__('errors.parameter_not_settable', { name }));
+    }
+
+    const normalized = this._commands.settings.validate({ [name]: value })[name];
+    await this._setToggle(name, String(normalized));
+  }
+
+  /**
+   * Generic toggle/setting handler - queues one API parameter change
    * @param {string} paramName - API parameter name
    * @param {string} apiValue - Value to send ('0' or '1', or enum value)
    * @private
    */
   async _setToggle(paramName, apiValue) {
-    const api = this._getApi();
-    if (!api) throw new Error('API not available');
+    this.log(`Queueing ${paramName}=${apiValue}`);
+    await this._enqueue({ params: { [paramName]: apiValue } });
+  }
+
+  /**
+   * Build and send one command from a batch of merged changes. Called by the
+   * command queue, which guarantees a single command in flight per appliance.
+   * @param {Object} changes - {onoff, thermostat_mode, target_temperature, wind_speed, swing_mode, params, program}
+   * @private
+   */
+  async _sendChanges(changes) {
+    const commands = this._commands || { programs: {} };
+
+    // A program runs with its own parameters; it supersedes the other changes in the batch
+    if (changes.program) {
+      const program = commands.programs[changes.program];
+      const { program: programName, ...superseded } = changes;
+      if (Object.keys(superseded).length > 0) {
+        this.log(`Program ${programName} supersedes: ${Object.keys(superseded).join(', ')}`);
+      }
+      this.log(`Sending startProgram: ${programName}`);
+      await this._sendCommand('startProgram', program.getMandatoryValues(), {
+        programName,
+        command: program,
+        ancillaryParameters: program.getAncillaryValues(),
+      });
+      this._markActive();
+      this.homey.app.requestPoll(this, CONFIRM_POLL_INTERVAL);
+      return;
+    }
 
-    // Build params from current state
-    const currentMode = this.getCapabilityValue('thermostat_mode') || 'auto';
-    const machMode = HVAC_MODE_TO_HON[currentMode] ?? 0;
-    let currentTemp = this.getCapabilityValue('target_temperature') || 16;
-    if (currentTemp < 16) currentTemp = 16;
-    const currentFanMode = this.getCapabilityValue('fan_mode') || 'auto';
-    const windSpeed = FAN_MODE_TO_HON[currentFanMode] ?? 5;
+    // Turning off wins over anything else in the batch: stopProgram
+    // (include mandatory params, the API requires non-empty parameters)
+    if (changes.onoff === false) {
+      const params = { ...(this._mandatoryParams || {}) };
+      params.onOffStatus = '0';
+      this.log('Turning OFF with stopProgram');
+      await this._sendCommand('stopProgram', params, { command: commands.stopProgram });
+      this._trackCommand(changes);
+      return;
+    }
+
+    const mode = changes.thermostat_mode || this._currentHvacMode() || 'auto';
+    // Normalizing also resets the anti-freeze display temperature to the model's minimum
+    const temperature = this._normalizeTemperature(
+      changes.target_temperature ?? this.getCapabilityValue('target_temperature') ?? this._temperatureRange.min,
+    );
+
+    // Toggles alone leave the power state as it is; everything else switches the AC on
+    const { params: rawParams, ...capabilityChanges } = changes;
+    const powerOn = Object.keys(capabilityChanges).length > 0 || this.getCapabilityValue('onoff');
 
+    // Start with all mandatory parameters
     const params = { ...(this._mandatoryParams || {}) };
-    params.onOffStatus = this.getCapabilityValue('onoff') ? '1' : '0';
-    params.machMode = String(machMode);
-    params.tempSel = String(Math.round(currentTemp));
-    params.windSpeed = String(windSpeed);
-    // Preserve anti-freeze mode if active
-    if (currentMode === '10_heating') {
+    params.onOffStatus = powerOn ? '1' : '0';
+    params.windSpeed = changes.wind_speed?.value ?? this._currentWindSpeed();
+    if (mode === '10_heating') {
+      params.machMode = '4'; // Heat mode
       params['10degreeHeatingStatus'] = '1';
+    } else {
+      params.machMode = String(HVAC_MODE_TO_HON[mode] ?? 0);
+      Object.assign(params, this._setpointParams(temperature));
+    }
+    if (changes.swing_mode) {
+      Object.assign(params, this._swingParams(changes.swing_mode));
     }
-    params[paramName] = apiValue;
+    Object.assign(params, rawParams);
 
-    this.log(`Setting ${paramName} to ${apiValue} via settings command`);
-    await api.sendCommand(this.deviceId, 'settings', params, {
-      ancillaryParameters: this._ancillaryParams || {},
-      applianceOptions: this._applianceOptions || {},
-    });
+    // Switching on or changing mode goes through startProgram (which also clears anti-freeze)
+    if (changes.onoff === true || changes.thermostat_mode) {
+      if (mode !== '10_heating') {
+        params['10degreeHeatingStatus'] = '0';
+      }
+      const programName = HVAC_MODE_TO_PROGRAM[mode] || 'IOT_AUTO';
+      this.log(`Sending startProgram: ${programName}, machMode=${params.machMode}`);
+      await this._sendCommand('startProgram', params, {
+        programName,
+        command: commands.programs[programName],
+      });
 
-    // Skip regular polls for 10s, then do a fresh poll
-    this._skipPollUntil = Date.now() + 10000;
-    this.homey.setTimeout(() => {
-      this._skipPollUntil = 0;
-      this._pollDeviceState().catch(this.error);
-    }, 10000);
+      // Immediately update UI without waiting for poll
+      const shown = mode === '10_heating' ? ANTI_FREEZE_TEMPERATURE : temperature;
+      await this.setCapabilityValue('target_temperature', shown).catch(this.error);
+      await this.setCapabilityValue('onoff', true).catch(this.error);
+    } else {
+      this.log(`Sending settings: ${Object.keys(changes).join(', ')}`);
+      await this._sendCommand('settings', params, { command: commands.settings });
+    }
+
+    this._trackCommand(changes);
   }
 
   /**
@@ -798,23 +1878,34 @@ class AirconDevice extends Homey.Device {
   }
 
   /**
-   * onSettings is called when the user updates the device's settings.
+   * onRenamed is called when the user updates the device's name.
+   */
+  async onRenamed(name) {
+    this.log('Aircon device was renamed to:', name);
+  }
+
+  /**
+   * Apply a new temperature unit right away
    */
   async onSettings({ oldSettings, newSettings, changedKeys }) {
-    this.log('Aircon device settings changed:', changedKeys);
+    await super.onSettings({ oldSettings, newSettings, changedKeys });
 
-    if (changedKeys.includes('poll_interval')) {
-      this.log(`Poll interval changed to ${newSettings.poll_interval}s`);
-      this._stopPolling();
-      await this._startPolling();
+    if (changedKeys.includes('temperature_unit')) {
+      this.log(`Temperature unit changed to ${newSettings.temperature_unit}`);
+      await this._setTemperatureUnit(newSettings.temperature_unit);
     }
   }
 
   /**
-   * onRenamed is called when the user updates the device's name.
+   * onUninit is called when the device is destroyed (app stop or restart).
    */
-  async onRenamed(name) {
-    this.log('Aircon device was renamed to:', name);
+  async onUninit() {
+    this._commandQueue.destroy();
+    this.homey.clearTimeout(this._scheduleTimer);
+    if (this._confirmation) {
+      this.homey.clearTimeout(this._confirmation.timer);
+    }
+    await super.onUninit();
   }
 
   /**
@@ -822,7 +1913,12 @@ class AirconDevice extends Homey.Device {
    */
   async onDeleted() {
     this.log('Aircon device has been deleted');
-    this._stopPolling();
+    this._commandQueue.destroy();
+    this.homey.clearTimeout(this._scheduleTimer);
+    if (this._confirmation) {
+      this.homey.clearTimeout(this._confirmation.timer);
+    }
+    await super.onDeleted();
   }
 
 }
@@ -1,9 +1,28 @@
 'use strict';
 
-const Homey = require('homey');
-const HonApi = require('../../lib/HonApi');
+const HonDriver = require('../../lib/HonDriver');
+const { TOGGLE_CAPABILITIES, FLOW_CARDS, triggerMatches } = require('./flowCards');
 
-class AirconDriver extends Homey.Driver {
+// Autocomplete entry of the parameter changed trigger that matches every parameter
+const ANY_PARAMETER = '*';
+
+class AirconDriver extends HonDriver {
+
+  /**
+   * hOn appliance types paired by this driver
+   * @returns {Array<string>}
+   */
+  get applianceTypes() {
+    return ['AC'];
+  }
+
+  get defaultDeviceName() {
+    return 'Haier AC';
+  }
+
+  get noDevicesMessage() {
+    return this.homey.__('pair.no_devices');
+  }
 
   /**
    * onInit is called when the driver is initialized.
@@ -34,166 +53,98 @@ class AirconDriver extends Homey.Driver {
         await args.device.setCapabilityValue('hon_eco_pilot', args.mode).catch(this.error);
       });
 
-    // Boolean toggle action cards (custom capabilities)
-    const TOGGLE_ACTIONS = {
-      'set_hon_silent_mode': { capability: 'hon_silent_mode', param: 'muteStatus' },
-      'set_hon_rapid_mode': { capability: 'hon_rapid_mode', param: 'rapidMode' },
-      'set_hon_sleep_mode': { capability: 'hon_sleep_mode', param: 'silentSleepStatus' },
-      'set_hon_eco_mode': { capability: 'hon_eco_mode', param: 'ecoMode' },
-      'set_hon_health_mode': { capability: 'hon_health_mode', param: 'healthMode' },
-      'set_hon_screen_display': { capability: 'hon_screen_display', param: 'screenDisplayStatus' },
-      'set_hon_echo_mode': { capability: 'hon_echo_mode', param: 'echoStatus', inverted: true },
-    };
-
-    for (const [cardId, config] of Object.entries(TOGGLE_ACTIONS)) {
-      this.homey.flow.getActionCard(cardId)
-        .registerRunListener(async (args) => {
-          const value = args.enabled === 'true';
-          const apiValue = config.inverted ? (!value ? '1' : '0') : (value ? '1' : '0');
-          await args.device._setToggle(config.param, apiValue);
-          await args.device.setCapabilityValue(config.capability, value).catch(this.error);
-        });
-    }
-  }
-
-  /**
-   * onPairListDevices is called when a user is adding a device
-   * and the 'list_devices' view is called.
-   */
-  async onPairListDevices() {
-    const app = this.homey.app;
-    const api = app.getApi();
-
-    if (!api || !api.isAuthenticated()) {
-      throw new Error('Not authenticated. Please login first.');
-    }
-
-    try {
-      // Fetch all appliances from the hOn API
-      const appliances = await api.getAppliances();
-
-      // Filter to only Air Conditioners (AC type)
-      const aircons = appliances.filter(appliance => appliance.applianceTypeName === 'AC');
-
-      if (aircons.length === 0) {
-        throw new Error('No air conditioners found in your hOn account');
-      }
-
-      // Map to Homey device format
-      return aircons.map(ac => {
-        // Extract just the MAC address (without timestamp after #)
-        // The API returns macAddress with a timestamp suffix
-        const fullMac = ac.macAddress || ac.applianceId || '';
-        const macAddress = fullMac.split('#')[0];
-
-        this.log(`AC: macAddress=${ac.macAddress}, applianceId=${ac.applianceId}, extracted=${macAddress}`);
-
-        return {
-          name: ac.nickName || ac.modelName || 'Haier AC',
-          data: {
-            id: macAddress, // Just the MAC address
-            applianceId: ac.applianceId,
-          },
-          store: {
-            modelName: ac.modelName,
-            serialNumber: ac.serialNumber,
-            brand: ac.brand || 'Haier',
-          },
-        };
-      });
-    } catch (error) {
-      this.error('Failed to list devices:', error.message);
-      throw error;
+    // Louver position cards; the positions depend on the model
+    for (const capability of ['hon_vane_vertical', 'hon_vane_horizontal']) {
+      const autocomplete = async (query, args) => {
+        const search = query.toLowerCase();
+        return args.device.getVanePositions(capability)
+          .filter((position) => position.name.toLowerCase().includes(search));
+      };
+
+      this.homey.flow.getActionCard(`set_${capability}`)
+        .registerRunListener(async (args) => args.device.setVanePosition(capability, args.position.id))
+        .registerArgumentAutocompleteListener('position', autocomplete);
+
+      this.homey.flow.getConditionCard(`${capability}_is`)
+        .registerRunListener(async (args) => args.device.getCapabilityValue(capability) === args.position.id)
+        .registerArgumentAutocompleteListener('position', autocomplete);
     }
-  }
 
-  /**
-   * onPair is called when pairing is started
-   */
-  onPair(session) {
-    // Clean up on disconnect to prevent "Another pair session is already active"
-    session.setHandler('disconnect', async () => {
-      this.log('Pair session disconnected');
-    });
-
-    // Provide Homey's language to the pairing view
-    session.setHandler('get_language', async () => {
-      return this.homey.i18n.getLanguage();
-    });
-
-    // Handle OAuth tokens from custom pairing view
-    session.setHandler('oauth_tokens', async (tokens) => {
-      this.log('Received OAuth tokens');
-
-      try {
-        // Create API instance with tokens
-        const api = new HonApi({
-          log: this.log.bind(this),
-          error: this.error.bind(this),
+    // Weekly schedule
+    this.homey.flow.getActionCard('schedule_enable')
+      .registerRunListener(async (args) => args.device.setScheduleEnabled(true));
+    this.homey.flow.getActionCard('schedule_disable')
+      .registerRunListener(async (args) => args.device.setScheduleEnabled(false));
+    this.homey.flow.getActionCard('schedule_skip')
+      .registerRunListener(async (args) => args.device.skipScheduleBlock());
+
+    // Several controls in one command; 'keep' and empty fields leave a control as it is
+    const keep = (value) => (value === 'keep' ? undefined : value);
+    this.homey.flow.getActionCard('set_climate')
+      .registerRunListener(async (args) => {
+        await args.device.setClimate({
+          onoff: args.power === 'keep' ? undefined : args.power === 'on',
+          thermostat_mode: keep(args.mode),
+          target_temperature: typeof args.temperature === 'number' ? args.temperature : undefined,
+          fan_mode: keep(args.fan),
+          swing_mode: keep(args.swing),
+          toggles: args.toggle ? { [args.toggle.id]: args.toggle_state === 'on' } : {},
         });
+      })
+      .registerArgumentAutocompleteListener('toggle', async (query, args) => {
+        const search = query.toLowerCase();
+        return args.device.getToggles().filter((toggle) => toggle.name.toLowerCase().includes(search));
+      });
 
-        // Set tokens directly
-        api.setTokens(tokens.accessToken, tokens.idToken, tokens.refreshToken);
-
-        // Store tokens in app settings
-        await this.homey.app.setTokens(tokens.accessToken, tokens.idToken, tokens.refreshToken);
-
-        this.log('OAuth login successful');
-        return true;
-      } catch (error) {
-        this.error('OAuth login failed:', error.message);
-        throw new Error('Failed to authenticate with hOn');
-      }
-    });
+    // Presets
+    this.homey.flow.getActionCard('preset_apply')
+      .registerRunListener(async (args) => args.device.applyPreset(args.preset.id))
+      .registerArgumentAutocompleteListener('preset', async (query, args) => {
+        const search = query.toLowerCase();
+        return args.device.getPresets()
+          .map((preset) => ({ id: preset.id, name: preset.name }))
+          .filter((preset) => preset.name.toLowerCase().includes(search));
+      });
+    this.homey.flow.getActionCard('preset_save')
+      .registerRunListener(async (args) => args.device.savePreset(args.name));
 
-    // Handle list devices request
-    session.setHandler('list_devices', async () => {
-      return this.onPairListDevices();
-    });
-  }
+    // Raw hOn parameters, for parameters without a capability
+    const parameterAutocomplete = (settable) => async (query, args) => {
+      const search = query.toLowerCase();
+      return args.device.getParameters(settable).filter((parameter) => parameter.name.toLowerCase().includes(search));
+    };
+    this.homey.flow.getActionCard('hon_parameter_set')
+      .registerRunListener(async (args) => args.device.setParameter(args.parameter.id, args.value))
+      .registerArgumentAutocompleteListener('parameter', parameterAutocomplete(true));
+    this.homey.flow.getConditionCard('hon_parameter_is')
+      .registerRunListener(async (args) => args.device.compareParameter(args.parameter.id, args.comparison, args.value))
+      .registerArgumentAutocompleteListener('parameter', parameterAutocomplete(false));
+    this.homey.flow.getDeviceTriggerCard('hon_parameter_changed')
+      .registerRunListener(async (args, state) => args.parameter.id === ANY_PARAMETER || args.parameter.id === state.name)
+      .registerArgumentAutocompleteListener('parameter', async (query, args) => {
+        const any = { id: ANY_PARAMETER, name: this.homey.__('parameter.any') };
+        const parameters = await parameterAutocomplete(false)(query, args);
+        return any.name.toLowerCase().includes(query.toLowerCase()) ? [any, ...parameters] : parameters;
+      });
 
-  /**
-   * onRepair is called when repair is started.
-   * Auth is centralized in app.js — repairing one device fixes ALL devices
-   * since they share the same hOn account/API instance.
-   */
-  onRepair(session, device) {
-    session.setHandler('disconnect', async () => {
-      this.log('Repair session disconnected');
-    });
-
-    // Provide Homey's language to the repair view
-    session.setHandler('get_language', async () => {
-      return this.homey.i18n.getLanguage();
-    });
-
-    // Handle OAuth tokens for repair
-    session.setHandler('oauth_tokens', async (tokens) => {
-      this.log('Received OAuth tokens for repair');
-
-      try {
-        // Update shared tokens in app.js (creates new HonApi instance)
-        await this.homey.app.setTokens(tokens.accessToken, tokens.idToken, tokens.refreshToken);
-
-        // Reinitialize ALL devices of this driver (they share the same account)
-        const devices = this.getDevices();
-        this.log(`Repair: reinitializing ${devices.length} device(s)...`);
-        for (const dev of devices) {
-          try {
-            await dev.setAvailable();
-            this.log(`Repair: ${dev.getName()} marked available`);
-          } catch (e) {
-            this.error(`Repair: failed to restore ${dev.getName()}:`, e.message);
-          }
-        }
-
-        this.log('Repair successful — all devices restored');
-        return true;
-      } catch (error) {
-        this.error('Repair login failed:', error.message);
-        throw new Error('Failed to re-authenticate with hOn');
+    // Toggle and temperature threshold cards, generated from one definition
+    for (const card of FLOW_CARDS) {
+      if (card.type === 'trigger') {
+        this.homey.flow.getDeviceTriggerCard(card.id)
+          .registerRunListener(async (args, state) => triggerMatches(card, args, state));
+      } else if (card.type === 'condition') {
+        this.homey.flow.getConditionCard(card.id)
+          .registerRunListener(async (args) => args.device.getCapabilityValue(card.capability) === true);
+      } else {
+        this.homey.flow.getActionCard(card.id)
+          .registerRunListener(async (args) => {
+            const value = args.enabled === 'true';
+            const { param } = TOGGLE_CAPABILITIES[card.capability];
+            await args.device._setToggle(param, args.device._toggleApiValue(card.capability, value));
+            await args.device.setCapabilityValue(card.capability, value).catch(this.error);
+          });
       }
-    });
+    }
   }
 
 }
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Flow cards generated per toggle capability and temperature sensor
+ *
+ * This list is the only definition of these cards: the driver registers
+ * their listeners from it, the device triggers them from it, and
+ * tools/generate-flow-cards.js writes their manifests to .homeycompose.
+ * Adding a toggle here gives it its cards.
+ */
+
+// Toggle capabilities mapped to their API parameter names
+const TOGGLE_CAPABILITIES = {
+  'hon_silent_mode': { param: 'muteStatus' },
+  'hon_rapid_mode': { param: 'rapidMode' },
+  'hon_sleep_mode': { param: 'silentSleepStatus' },
+  'hon_screen_display': { param: 'screenDisplayStatus' },
+  'hon_echo_mode': { param: 'echoStatus', inverted: true }, // 0=beep on, 1=beep off
+  'hon_eco_mode': { param: 'ecoMode' },
+  'hon_health_mode': { param: 'healthMode' },
+  'hon_purification': { param: 'ch2oCleaningStatus' },
+  'hon_fresh_air': { param: 'freshAirStatus' },
+};
+
+// Temperature sensors with threshold triggers, mapped to the prefix of their card ids
+const THRESHOLD_CAPABILITIES = {
+  'measure_temperature.indoor': 'temperature_indoor',
+  'measure_temperature.outdoor': 'temperature_outdoor',
+};
+
+// Cards: {id, type, capability}, plus on (the value a toggle trigger runs for)
+// or crossing (the direction a threshold trigger runs for)
+const FLOW_CARDS = [
+  ...Object.keys(TOGGLE_CAPABILITIES).flatMap((capability) => [
+    { id: `${capability}_turned_on`, type: 'trigger', capability, on: true },
+    { id: `${capability}_turned_off`, type: 'trigger', capability, on: false },
+    { id: `${capability}_is_on`, type: 'condition', capability },
+    { id: `set_${capability}`, type: 'action', capability },
+  ]),
+  ...Object.entries(THRESHOLD_CAPABILITIES).flatMap(([capability, prefix]) => [
+    { id: `${prefix}_rose_above`, type: 'trigger', capability, crossing: 'above' },
+    { id: `${prefix}_fell_below`, type: 'trigger', capability, crossing: 'below' },
+  ]),
+];
+
+/**
+ * Check if a trigger card runs for a change of its capability
+ * @param {Object} card - Trigger from FLOW_CARDS
+ * @param {Object} args - Card arguments (threshold for threshold triggers)
+ * @param {{previous: *, value: *}} state - Capability value before and after
+ * @returns {boolean}
+ */
+function triggerMatches(card, args, state) {
+  if (card.crossing === 'above') {
+    return state.previous <= args.threshold && state.value > args.threshold;
+  }
+  if (card.crossing === 'below') {
+    return state.previous >= args.threshold && state.value < args.threshold;
+  }
+  return state.value === card.on;
+}
+
+module.exports = {
+  TOGGLE_CAPABILITIES,
+  THRESHOLD_CAPABILITIES,
+  FLOW_CARDS,
+  triggerMatches,
+};
@@ -0,0 +1,8 @@
+'use strict';
+
+const HonProgramDevice = require('../../lib/HonProgramDevice');
+
+class DishwasherDevice extends HonProgramDevice {
+}
+
+module.exports = DishwasherDevice;
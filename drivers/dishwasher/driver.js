@@ -0,0 +1,32 @@
+'use strict';
+
+const HonDriver = require('../../lib/HonDriver');
+
+class DishwasherDriver extends HonDriver {
+
+  /**
+   * hOn appliance types paired by this driver
+   * @returns {Array<string>}
+   */
+  get applianceTypes() {
+    return ['DW'];
+  }
+
+  get defaultDeviceName() {
+    return 'Haier Dishwasher';
+  }
+
+  get noDevicesMessage() {
+    return this.homey.__('pair.no_dishwashers');
+  }
+
+  /**
+   * onInit is called when the driver is initialized.
+   */
+  async onInit() {
+    this.log('Dishwasher driver has been initialized');
+  }
+
+}
+
+module.exports = DishwasherDriver;
@@ -0,0 +1,8 @@
+'use strict';
+
+const HonProgramDevice = require('../../lib/HonProgramDevice');
+
+class DryerDevice extends HonProgramDevice {
+}
+
+module.exports = DryerDevice;
@@ -0,0 +1,32 @@
+'use strict';
+
+const HonDriver = require('../../lib/HonDriver');
+
+class DryerDriver extends HonDriver {
+
+  /**
+   * hOn appliance types paired by this driver
+   * @returns {Array<string>}
+   */
+  get applianceTypes() {
+    return ['TD'];
+  }
+
+  get defaultDeviceName() {
+    return 'Haier Dryer';
+  }
+
+  get noDevicesMessage() {
+    return this.homey.__('pair.no_dryers');
+  }
+
+  /**
+   * onInit is called when the driver is initialized.
+   */
+  async onInit() {
+    this.log('Tumble dryer driver has been initialized');
+  }
+
+}
+
+module.exports = DryerDriver;
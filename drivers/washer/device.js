@@ -0,0 +1,8 @@
+'use strict';
+
+const HonProgramDevice = require('../../lib/HonProgramDevice');
+
+class WasherDevice extends HonProgramDevice {
+}
+
+module.exports = WasherDevice;
@@ -0,0 +1,32 @@
+'use strict';
+
+const HonDriver = require('../../lib/HonDriver');
+
+class WasherDriver extends HonDriver {
+
+  /**
+   * hOn appliance types paired by this driver
+   * @returns {Array<string>}
+   */
+  get applianceTypes() {
+    return ['WM', 'WD'];
+  }
+
+  get defaultDeviceName() {
+    return 'Haier Washing Machine';
+  }
+
+  get noDevicesMessage() {
+    return this.homey.__('pair.no_washers');
+  }
+
+  /**
+   * onInit is called when the driver is initialized.
+   */
+  async onInit() {
+    this.log('Washing machine driver has been initialized');
+  }
+
+}
+
+module.exports = WasherDriver;
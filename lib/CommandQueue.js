@@ -0,0 +1,166 @@
+'use strict';
+
+// Changes arriving within this window are merged into one command
+const DEBOUNCE_DELAY = 300;
+
+// Upper bound on how long a change waits for the window to close
+const MAX_DEBOUNCE_DELAY = 1500;
+
+/**
+ * Per-device command pipeline
+ *
+ * Collects requested changes, merges those arriving close together and hands
+ * them to the send function as one batch. Only one batch is in flight at a
+ * time; changes made while a command is being sent are merged and sent after
+ * it completes, so every command is built on top of the previous one.
+ *
+ * A change is a plain object. Merging is shallow, except that nested plain
+ * objects (e.g. raw API parameters) are merged key by key.
+ */
+class CommandQueue {
+
+  /**
+   * Create a new CommandQueue instance
+   * @param {Object} options
+   * @param {Function} options.send - Async function receiving the merged changes
+   * @param {number} [options.debounce=300] - Debounce window in milliseconds
+   * @param {number} [options.maxDelay=1500] - Maximum time a change is held back
+   * @param {Function} [options.log] - Logging function
+   */
+  constructor(options) {
+    this.send = options.send;
+    this.debounce = options.debounce ?? DEBOUNCE_DELAY;
+    this.maxDelay = options.maxDelay ?? MAX_DEBOUNCE_DELAY;
+    this.log = options.log || console.log;
+
+    this._pending = null;
+    this._waiters = [];
+    this._firstQueuedAt = 0;
+    this._timer = null;
+    this._inFlight = false;
+    this._destroyed = false;
+  }
+
+  /**
+   * Changes queued but not sent yet
+   * @returns {Object|null}
+   */
+  get pending() {
+    return this._pending;
+  }
+
+  /**
+   * Check if a command is being sent
+   * @returns {boolean}
+   */
+  isBusy() {
+    return this._inFlight || this._pending !== null;
+  }
+
+  /**
+   * Queue a change
+   * @param {Object} changes
+   * @returns {Promise} Settles when the command carrying these changes has been sent
+   */
+  enqueue(changes) {
+    if (this._destroyed) {
+      return Promise.reject(new Error('Device is being removed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      if (!this._pending) {
+        this._pending = {};
+        this._firstQueuedAt = Date.now();
+      }
+      this._pending = CommandQueue.merge(this._pending, changes);
+      this._waiters.push({ resolve, reject });
+      this._schedule();
+    });
+  }
+
+  /**
+   * Drop queued changes and reject their callers
+   */
+  destroy() {
+    this._destroyed = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    const waiters = this._waiters;
+    this._pending = null;
+    this._waiters = [];
+    const error = new Error('Device is being removed');
+    for (const waiter of waiters) {
+      waiter.reject(error);
+    }
+  }
+
+  /**
+   * Merge changes into an existing batch
+   * @param {Object} target
+   * @param {Object} changes
+   * @returns {Object} New merged object
+   */
+  static merge(target, changes) {
+    const merged = { ...target };
+    for (const [key, value] of Object.entries(changes)) {
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      merged[key] = isObject ? { ...(merged[key] || {}), ...value } : value;
+    }
+    return merged;
+  }
+
+  /**
+   * (Re)arm the debounce timer, unless a command is in flight
+   * @private
+   */
+  _schedule() {
+    if (this._inFlight || this._destroyed) return;
+
+    clearTimeout(this._timer);
+    const delay = Math.max(0, Math.min(this.debounce, this._firstQueuedAt + this.maxDelay - Date.now()));
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._flush();
+    }, delay);
+  }
+
+  /**
+   * Send the merged batch and settle its callers
+   * @private
+   */
+  async _flush() {
+    if (!this._pending || this._inFlight) return;
+
+    const changes = this._pending;
+    const waiters = this._waiters;
+    this._pending = null;
+    this._waiters = [];
+    this._inFlight = true;
+
+    if (waiters.length > 1) {
+      this.log(`Merged ${waiters.length} changes into one command`);
+    }
+
+    try {
+      await this.send(changes);
+      for (const waiter of waiters) {
+        waiter.resolve();
+      }
+    } catch (error) {
+      for (const waiter of waiters) {
+        waiter.reject(error);
+      }
+    } finally {
+      this._inFlight = false;
+    }
+
+    // Changes made while this command was in flight go out next
+    if (this._pending) {
+      this._schedule();
+    }
+  }
+
+}
+
+module.exports = CommandQueue;
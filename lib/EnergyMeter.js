@@ -0,0 +1,123 @@
+'use strict';
+
+// Shortest interval over which a power estimate is worth calculating
+const MIN_POWER_WINDOW = 60 * 1000;
+
+/**
+ * Energy bookkeeping for one appliance
+ *
+ * hOn reports a cumulative electricity counter (kWh). The meter keeps its own
+ * running total on top of it, so a counter that restarts at zero (appliance
+ * reset, firmware update) never makes meter_power drop, and derives the
+ * average power between two readings and the daily and monthly totals.
+ *
+ * The state is a plain object meant for the device store, so totals survive
+ * app restarts.
+ */
+class EnergyMeter {
+
+  /**
+   * Create a new EnergyMeter instance
+   * @param {Object} [options]
+   * @param {Object} [options.state] - State saved from a previous run
+   * @param {string} [options.timezone] - Timezone that decides where days and months start
+   */
+  constructor(options = {}) {
+    this.timezone = options.timezone || 'UTC';
+    this.state = {
+      meter: 0, // kWh counted since the device was added
+      counter: null, // last hOn counter value
+      readAt: null, // when the counter was read (ms)
+      day: { key: null, kWh: 0 },
+      month: { key: null, kWh: 0 },
+      ...(options.state || {}),
+    };
+  }
+
+  /**
+   * Process a new counter reading
+   * @param {number} counter - Cumulative kWh reported by hOn
+   * @param {number} [timestamp] - Time of the reading (ms)
+   * @returns {{meter: number, power: number|null, today: number, month: number}}
+   *   power is the average in W since the previous reading, null when unknown
+   */
+  update(counter, timestamp = Date.now()) {
+    const state = this.state;
+    const previous = state.counter;
+    const elapsed = state.readAt === null ? 0 : timestamp - state.readAt;
+
+    // A counter below the previous reading has restarted; count from its new value
+    const restarted = previous !== null && counter < previous;
+    const delta = previous === null || restarted ? 0 : counter - previous;
+
+    let power = null;
+    if (previous !== null && !restarted && elapsed >= MIN_POWER_WINDOW) {
+      power = Math.round((delta * 1000) / (elapsed / 3600000));
+    }
+
+    // Only move the reading forward once a power window has passed, so
+    // frequent readings of a coarse counter don't average to zero
+    if (previous === null || restarted || elapsed >= MIN_POWER_WINDOW) {
+      state.counter = counter;
+      state.readAt = timestamp;
+      this._add(delta, timestamp);
+    }
+
+    return {
+      meter: round(state.meter),
+      power,
+      today: round(state.day.kWh),
+      month: round(state.month.kWh),
+    };
+  }
+
+  /**
+   * Add consumption to the running and periodic totals
+   * @param {number} kWh
+   * @param {number} timestamp
+   * @private
+   */
+  _add(kWh, timestamp) {
+    const { day, month } = this._periodKeys(timestamp);
+    const state = this.state;
+
+    if (state.day.key !== day) {
+      state.day = { key: day, kWh: 0 };
+    }
+    if (state.month.key !== month) {
+      state.month = { key: month, kWh: 0 };
+    }
+
+    state.meter += kWh;
+    state.day.kWh += kWh;
+    state.month.kWh += kWh;
+  }
+
+  /**
+   * Day (YYYY-MM-DD) and month (YYYY-MM) of a timestamp in the meter's timezone
+   * @param {number} timestamp
+   * @returns {{day: string, month: string}}
+   * @private
+   */
+  _periodKeys(timestamp) {
+    const day = new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(new Date(timestamp));
+    return { day, month: day.slice(0, 7) };
+  }
+
+}
+
+/**
+ * Round kWh to Wh precision
+ * @param {number} kWh
+ * @returns {number}
+ */
+function round(kWh) {
+  return Math.round(kWh * 1000) / 1000;
+}
+
+module.exports = EnergyMeter;
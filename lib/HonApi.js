@@ -2,20 +2,45 @@
 
 const fetch = require('node-fetch');
 const crypto = require('crypto');
+const HonMqtt = require('./HonMqtt');
 
 // API Constants (from pyhOn reverse engineering)
+// AUTH_API and API_URL are defaults; both can be overridden per instance (e.g. local simulator)
 const AUTH_API = 'https://account2.hon-smarthome.com';
 const API_URL = 'https://api-iot.he.services';
 const CLIENT_ID = '3MVG9QDx8IX8nP5T2Ha8ofvlmjLZl5L_gvfbT9.HJvpHGKoAS_dcMN8LYpTSYeVFCraUnV.2Ag1Ki7m4znVO6';
 const APP_VERSION = '2.0.10';
 const OS_VERSION = '17.6.1';
 const DEVICE_MODEL = 'iPhone16,2';
+const APP_SCHEME = 'hon';
+const LOGIN_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_6_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148';
+const MAX_REDIRECTS = 10;
+
+// Appliance type used when a caller doesn't pass one (the app started out AC-only)
+const DEFAULT_APPLIANCE_TYPE = 'AC';
 
 // Token expiry: Salesforce tokens last ~8 hours.
 // Proactively refresh 1 hour before expiry (like pyhOn).
 const TOKEN_LIFETIME_MS = 8 * 60 * 60 * 1000;
 const TOKEN_EXPIRY_BUFFER = 60 * 60 * 1000;
 
+// Request resilience: per-request timeout, then retry 429/5xx/network errors
+// with exponential back-off and jitter (or the server's Retry-After)
+const REQUEST_TIMEOUT = 15000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+
+// Network errors raised before a request reached the server; only these are
+// retried for requests that change state, so a command never runs twice
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Circuit breaker: after this many consecutive failed requests the cloud is considered
+// down; requests are rejected without network traffic and a probe runs after the cooldown
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN = 60 * 1000;
+const CIRCUIT_MAX_COOLDOWN = 10 * 60 * 1000;
+
 /**
  * Haier hOn API Client
  * Based on the pyhOn library by Andre0512
@@ -28,6 +53,11 @@ class HonApi {
    * @param {string} [options.refreshToken] - Stored refresh token
    * @param {Function} [options.onTokenRefresh] - Callback when refresh token is updated
    * @param {Function} [options.onTokensUpdated] - Callback when access/id tokens are updated
+   * @param {Function} [options.onCircuitChange] - Callback (open) when the cloud goes down or recovers
+   * @param {string} [options.authUrl] - Salesforce login base URL (defaults to the hOn account site)
+   * @param {string} [options.apiUrl] - hOn API base URL (defaults to the hOn cloud)
+   * @param {Function} [options.fetch] - fetch-compatible transport (defaults to node-fetch)
+   * @param {string} [options.mqttUrl] - Push broker URL override (e.g. a local MQTT broker)
    * @param {Function} [options.log] - Logging function
    * @param {Function} [options.error] - Error logging function
    */
@@ -35,6 +65,11 @@ class HonApi {
     this.refreshToken = options.refreshToken || null;
     this.onTokenRefresh = options.onTokenRefresh || (() => {});
     this.onTokensUpdated = options.onTokensUpdated || (() => {});
+    this.onCircuitChange = options.onCircuitChange || (() => {});
+    this.authUrl = (options.authUrl || AUTH_API).replace(/\/+$/, '');
+    this.apiUrl = (options.apiUrl || API_URL).replace(/\/+$/, '');
+    this._fetch = options.fetch || fetch;
+    this.mqttUrl = options.mqttUrl || null;
     this.log = options.log || console.log;
     this.error = options.error || console.error;
 
@@ -52,6 +87,29 @@ class HonApi {
 
     // Prevent concurrent refresh attempts
     this._refreshPromise = null;
+
+    // Push channel (created by startPush)
+    this._push = null;
+
+    // Pending email/password login (cookies, aura context, MFA form)
+    this._loginSession = null;
+
+    // Circuit breaker state (account-wide: all devices share this instance)
+    this._circuitFailures = 0;
+    this._circuitOpenUntil = 0;
+    this._circuitCooldown = CIRCUIT_COOLDOWN;
+    this._circuitProbeTimer = null;
+  }
+
+  /**
+   * Release timers and the push channel. Call before discarding the instance.
+   */
+  destroy() {
+    this.stopPush();
+    if (this._circuitProbeTimer) {
+      clearTimeout(this._circuitProbeTimer);
+      this._circuitProbeTimer = null;
+    }
   }
 
   /**
@@ -109,6 +167,409 @@ class HonApi {
     this.tokenExpiresAt = Date.now() + TOKEN_LIFETIME_MS;
   }
 
+  /**
+   * Log in with email and password, performing the Salesforce login flow
+   * the hOn app uses (authorize → aura login → frontdoor → tokens).
+   * When the account requires a verification code the result has
+   * mfaRequired set; call submitMfaCode() with the code to finish.
+   * @param {string} email
+   * @param {string} password
+   * @returns {Promise<{mfaRequired: boolean, accessToken?: string, idToken?: string, refreshToken?: string}>}
+   */
+  async login(email, password) {
+    this._loginSession = {
+      email,
+      password,
+      cookies: new Map(),
+      mfaForm: null,
+    };
+
+    this.log('Logging in with email/password...');
+
+    const loginUrl = await this._introduce();
+    if (this._loginSession.tokens) {
+      return this._completeLogin();
+    }
+
+    const pageUrl = await this._handleLoginRedirects(loginUrl);
+    await this._loadLoginPage(pageUrl);
+    const frontdoorUrl = await this._submitLogin();
+    await this._followFrontdoor(frontdoorUrl);
+
+    return this._completeLogin();
+  }
+
+  /**
+   * Finish a login that stopped at the verification code step
+   * @param {string} code - Verification code sent to the user
+   * @returns {Promise<{mfaRequired: boolean, accessToken?: string, idToken?: string, refreshToken?: string}>}
+   */
+  async submitMfaCode(code) {
+    const session = this._loginSession;
+    if (!session?.mfaForm) {
+      throw new Error('No verification pending. Please log in again.');
+    }
+
+    this.log('Submitting verification code...');
+
+    const { action, fields, codeField } = session.mfaForm;
+    session.mfaForm = null;
+    const body = new URLSearchParams({ ...fields, [codeField]: String(code).trim() });
+
+    const response = await this._loginFetch(action, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: body.toString(),
+    });
+    const text = await response.text();
+
+    // A wrong code shows the verification form again
+    if (this._parseMfaForm(text, response.url)) {
+      throw new Error('Verification code was not accepted');
+    }
+
+    await this._parseTokenPage(text, response.url);
+    return this._completeLogin();
+  }
+
+  /**
+   * Fetch against the login site with the session's cookies, following
+   * redirects manually so cookies are kept on every hop
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {boolean} [options.follow=true] - Follow redirects
+   * @returns {Promise<Response>} - response.url is the final URL
+   * @private
+   */
+  async _loginFetch(url, options = {}) {
+    const session = this._loginSession;
+    let currentUrl = url;
+    let method = options.method || 'GET';
+    let body = options.body;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const cookie = [...session.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+      const response = await this._fetchWithTimeout(currentUrl, {
+        method,
+        headers: {
+          'User-Agent': LOGIN_USER_AGENT,
+          ...options.headers,
+          ...(cookie ? { 'Cookie': cookie } : {}),
+        },
+        body,
+        redirect: 'manual',
+      });
+
+      // node-fetch exposes raw(); WHATWG fetch implementations getSetCookie()
+      const setCookies = typeof response.headers.raw === 'function'
+        ? response.headers.raw()['set-cookie']
+        : response.headers.getSetCookie?.();
+      for (const header of setCookies || []) {
+        const [pair] = header.split(';');
+        const index = pair.indexOf('=');
+        if (index < 1) continue;
+        const name = pair.slice(0, index).trim();
+        const value = pair.slice(index + 1).trim();
+        if (value && !/max-age=0/i.test(header)) {
+          session.cookies.set(name, value);
+        } else {
+          session.cookies.delete(name);
+        }
+      }
+
+      const location = response.headers.get('location');
+      if (options.follow === false || response.status < 300 || response.status >= 400 || !location) {
+        Object.defineProperty(response, 'url', { value: currentUrl });
+        return response;
+      }
+
+      // The final redirect to hon:// carries the tokens and cannot be fetched
+      if (location.startsWith(`${APP_SCHEME}://`)) {
+        session.tokens = this._parseTokenData(location);
+        Object.defineProperty(response, 'url', { value: currentUrl });
+        return response;
+      }
+
+      currentUrl = new URL(location, currentUrl).toString();
+      method = 'GET';
+      body = undefined;
+    }
+
+    throw new Error('Login failed: too many redirects');
+  }
+
+  /**
+   * Start the OAuth authorize flow and find the login page URL
+   * @returns {Promise<string|null>} - Login URL, or null when tokens were returned directly
+   * @private
+   */
+  async _introduce() {
+    const params = [
+      'response_type=token+id_token',
+      `client_id=${CLIENT_ID}`,
+      `redirect_uri=${encodeURIComponent(`${APP_SCHEME}://mobilesdk/detect/oauth/done`)}`,
+      'display=touch',
+      `scope=${encodeURIComponent('api openid refresh_token web')}`,
+      `nonce=${crypto.randomUUID()}`,
+    ].join('&');
+
+    const response = await this._loginFetch(`${this.authUrl}/services/oauth2/authorize/expid_Login?${params}`);
+    const text = await response.text();
+
+    const match = text.match(/url = '(.+?)'/);
+    if (!match) {
+      // Still-valid session cookies can short-circuit straight to the tokens
+      if (text.includes('oauth/done#access_token=')) {
+        this._loginSession.tokens = this._parseTokenData(text);
+        if (!this._loginSession.tokens) {
+          throw new Error(`Login failed: could not read tokens (${response.status})`);
+        }
+        return null;
+      }
+      throw new Error(`Login failed: no login page found (${response.status})`);
+    }
+
+    return new URL(match[1], this.authUrl).toString();
+  }
+
+  /**
+   * Resolve the two redirects in front of the login page
+   * @param {string} loginUrl
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _handleLoginRedirects(loginUrl) {
+    let url = loginUrl;
+    for (let i = 0; i < 2; i++) {
+      const response = await this._loginFetch(url, { follow: false });
+      const location = response.headers.get('location');
+      if (!location) {
+        throw new Error(`Login failed: expected redirect from ${url} (${response.status})`);
+      }
+      url = new URL(location, url).toString();
+    }
+    return `${url}&System=IoT_Mobile_App&RegistrationSubChannel=hOn`;
+  }
+
+  /**
+   * Load the login page and extract the aura framework context
+   * @param {string} pageUrl
+   * @private
+   */
+  async _loadLoginPage(pageUrl) {
+    const response = await this._loginFetch(pageUrl);
+    const text = await response.text();
+
+    const match = text.match(/"fwuid":"(.*?)","loaded":(\{.*?})/);
+    if (!match) {
+      throw new Error(`Login failed: could not read login page (${response.status})`);
+    }
+
+    this._loginSession.fwuid = match[1];
+    this._loginSession.loaded = JSON.parse(match[2]);
+    this._loginSession.pageUrl = pageUrl.replace(this.authUrl, '');
+  }
+
+  /**
+   * Post the credentials to the aura login action
+   * @returns {Promise<string>} - Frontdoor URL
+   * @private
+   */
+  async _submitLogin() {
+    const session = this._loginSession;
+    const startUrl = decodeURIComponent(session.pageUrl.split('startURL=').pop()).split('%3D')[0];
+
+    const data = {
+      'message': {
+        actions: [{
+          id: '79;a',
+          descriptor: 'apex://LightningLoginCustomController/ACTION$login',
+          callingDescriptor: 'markup://c:loginForm',
+          params: {
+            username: session.email,
+            password: session.password,
+            startUrl,
+          },
+        }],
+      },
+      'aura.context': {
+        mode: 'PROD',
+        fwuid: session.fwuid,
+        app: 'siteforce:loginApp2',
+        loaded: session.loaded,
+        dn: [],
+        globals: {},
+        uad: false,
+      },
+      'aura.pageURI': session.pageUrl,
+      'aura.token': null,
+    };
+    const body = Object.entries(data)
+      .map(([key, value]) => `${key}=${encodeURIComponent(JSON.stringify(value))}`)
+      .join('&');
+
+    const response = await this._loginFetch(`${this.authUrl}/s/sfsites/aura?r=3&other.LightningLoginCustom.login=1`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body,
+    });
+
+    let result;
+    try {
+      result = await response.json();
+    } catch (e) {
+      throw new Error(`Login failed: unexpected response (${response.status})`);
+    }
+
+    const url = result.events?.[0]?.attributes?.values?.url;
+    if (!url) {
+      // Wrong credentials come back as the action's return value
+      const message = result.actions?.[0]?.returnValue;
+      throw new Error(`Login failed: ${typeof message === 'string' ? message : 'invalid email or password'}`);
+    }
+    return url;
+  }
+
+  /**
+   * Follow the frontdoor URL to the token redirect, stopping at a
+   * verification code form when the account requires one
+   * @param {string} url
+   * @private
+   */
+  async _followFrontdoor(url) {
+    const response = await this._loginFetch(url);
+    if (this._loginSession.tokens) return;
+
+    const text = await response.text();
+    if (this._parseMfaForm(text, response.url)) {
+      this.log('Login requires a verification code');
+      return;
+    }
+
+    await this._parseTokenPage(text, response.url);
+  }
+
+  /**
+   * Walk the JavaScript redirect pages after login until the tokens appear
+   * @param {string} text - Page body
+   * @param {string} pageUrl - URL the body was loaded from
+   * @private
+   */
+  async _parseTokenPage(text, pageUrl) {
+    const session = this._loginSession;
+    let body = text;
+    let url = pageUrl;
+
+    for (let hop = 0; hop < 3 && !session.tokens; hop++) {
+      if (body.includes('access_token=')) {
+        session.tokens = this._parseTokenData(body);
+        break;
+      }
+
+      const match = body.match(/href\s*=\s*["'](.+?)["']/);
+      if (!match) {
+        throw new Error('Login failed: no token redirect found');
+      }
+
+      const response = await this._loginFetch(new URL(match[1], url).toString());
+      if (session.tokens) break;
+      body = await response.text();
+      url = response.url;
+    }
+
+    if (!session.tokens) {
+      throw new Error('Login failed: no tokens received');
+    }
+  }
+
+  /**
+   * Detect a verification code form and remember how to submit it
+   * @param {string} text - Page body
+   * @param {string} pageUrl - URL the body was loaded from
+   * @returns {boolean}
+   * @private
+   */
+  _parseMfaForm(text, pageUrl) {
+    if (!/verification/i.test(pageUrl) && !/name="emc"/.test(text)) {
+      return false;
+    }
+
+    const form = text.match(/<form[^>]*action="([^"]+)"[^>]*>([\s\S]*?)<\/form>/i);
+    if (!form) {
+      return false;
+    }
+
+    const fields = {};
+    let codeField = null;
+    for (const [input] of form[2].matchAll(/<input[^>]*>/gi)) {
+      const name = input.match(/name="([^"]+)"/)?.[1];
+      if (!name) continue;
+      const type = (input.match(/type="([^"]+)"/)?.[1] || 'text').toLowerCase();
+      const value = input.match(/value="([^"]*)"/)?.[1] || '';
+      if (type === 'hidden') {
+        fields[name] = value.replace(/&amp;/g, '&');
+      } else if ((type === 'text' || type === 'number' || type === 'tel') && !codeField) {
+        codeField = name;
+      } else if (type === 'submit' && name === 'save') {
+        fields[name] = value;
+      }
+    }
+
+    if (!codeField) {
+      return false;
+    }
+
+    this._loginSession.mfaForm = {
+      action: new URL(form[1].replace(/&amp;/g, '&'), pageUrl).toString(),
+      fields,
+      codeField,
+    };
+    return true;
+  }
+
+  /**
+   * Extract tokens from a redirect URL or page containing one
+   * @param {string} text
+   * @returns {{accessToken: string, idToken: string, refreshToken: string}|null}
+   * @private
+   */
+  _parseTokenData(text) {
+    const find = (name) => {
+      const match = text.match(new RegExp(`${name}=(.*?)(?:&|$|["'\\s])`));
+      return match ? decodeURIComponent(match[1]) : null;
+    };
+
+    const accessToken = find('access_token');
+    const idToken = find('id_token');
+    const refreshToken = find('refresh_token');
+    if (!accessToken || !idToken || !refreshToken) {
+      return null;
+    }
+    return { accessToken, idToken, refreshToken };
+  }
+
+  /**
+   * Return the login result and adopt the tokens
+   * @returns {{mfaRequired: boolean, accessToken?: string, idToken?: string, refreshToken?: string}}
+   * @private
+   */
+  _completeLogin() {
+    const session = this._loginSession;
+    if (session.mfaForm) {
+      return { mfaRequired: true };
+    }
+
+    const { tokens } = session;
+    if (!tokens) {
+      throw new Error('Login failed: no tokens received');
+    }
+
+    this._loginSession = null;
+    this.setTokens(tokens.accessToken, tokens.idToken, tokens.refreshToken);
+    this.log('Login successful');
+    return { mfaRequired: false, ...tokens };
+  }
+
   /**
    * Initialize with pre-set tokens (get Cognito token)
    * Call this after setTokens() to complete authentication
@@ -141,7 +602,7 @@ class HonApi {
       refresh_token: this.refreshToken,
     });
 
-    const response = await fetch(`${AUTH_API}/services/oauth2/token`, {
+    const response = await this._fetchWithTimeout(`${this.authUrl}/services/oauth2/token`, {
       method: 'POST',
       headers: {
         'User-Agent': `hOn/${APP_VERSION} (iPhone; iOS ${OS_VERSION}; Scale/3.00)`,
@@ -152,7 +613,9 @@ class HonApi {
 
     if (!response.ok) {
       const text = await response.text();
-      throw new Error(`Token refresh failed: ${response.status} - ${text}`);
+      const error = new Error(`Token refresh failed: ${response.status} - ${text}`);
+      error.status = response.status;
+      throw error;
     }
 
     const result = await response.json();
@@ -235,7 +698,7 @@ class HonApi {
    * @private
    */
   async _getCognitoToken() {
-    const response = await fetch(`${API_URL}/auth/v1/login`, {
+    const response = await this._fetchWithTimeout(`${this.apiUrl}/auth/v1/login`, {
       method: 'POST',
       headers: {
         'User-Agent': `hOn/${APP_VERSION} (iPhone; iOS ${OS_VERSION}; Scale/3.00)`,
@@ -254,7 +717,9 @@ class HonApi {
 
     if (!response.ok) {
       const text = await response.text();
-      throw new Error(`Failed to get Cognito token: ${response.status} - ${text}`);
+      const error = new Error(`Failed to get Cognito token: ${response.status} - ${text}`);
+      error.status = response.status;
+      throw error;
     }
 
     const result = await response.json();
@@ -267,6 +732,254 @@ class HonApi {
     this.log('Cognito token obtained successfully');
   }
 
+  /**
+   * Get the signed token for the AWS IoT custom authorizer
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _getAwsToken() {
+    const result = await this._apiRequest('/auth/v1/introspection');
+    const token = result.payload?.tokenSigned;
+    if (!token) {
+      throw new Error('No signed token in introspection response');
+    }
+    return token;
+  }
+
+  /**
+   * Fetch with a timeout, so a hung socket cannot stall a poll forever. The
+   * timeout also covers reading the body, which is read here and served from
+   * memory by the returned response.
+   * @param {string} url
+   * @param {Object} init - fetch options
+   * @returns {Promise<Response>}
+   * @private
+   */
+  async _fetchWithTimeout(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+    try {
+      const response = await this._fetch(url, { ...init, signal: controller.signal });
+      return bufferResponse(response, await response.text());
+    } catch (error) {
+      if (controller.signal.aborted) {
+        const timeoutError = new Error(`Request timed out after ${REQUEST_TIMEOUT / 1000}s`);
+        timeoutError.code = 'ETIMEDOUT';
+        throw timeoutError;
+      }
+      // The global fetch reports network failures as TypeError: fetch failed
+      if (error instanceof TypeError) {
+        error.network = true;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Fetch, retrying network errors, timeouts, 429 and 5xx with back-off.
+   * Requests other than GET change state on the appliance and are only retried
+   * when they never reached the server (see UNSENT_ERROR_CODES).
+   * Returns the last response once retries are exhausted so the caller can
+   * report the status; throws the last network error instead if there was no response.
+   * @param {string} url
+   * @param {Object} init - fetch options
+   * @param {string} label - For logging
+   * @returns {Promise<Response>}
+   * @private
+   */
+  async _fetchWithRetry(url, init, label) {
+    // A circuit probe gets a single attempt
+    const maxRetries = this.isCircuitOpen() ? 0 : MAX_RETRIES;
+    const idempotent = (init.method || 'GET') === 'GET';
+
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      let networkError = null;
+      try {
+        response = await this._fetchWithTimeout(url, init);
+      } catch (error) {
+        networkError = error;
+      }
+
+      if (response && response.status !== 429 && response.status < 500) {
+        return response;
+      }
+
+      const delay = this._getRetryDelay(attempt, response);
+      const retryable = idempotent || (networkError && isUnsentError(networkError));
+      if (!retryable || attempt >= maxRetries || delay > RETRY_MAX_DELAY) {
+        if (networkError) throw networkError;
+        return response;
+      }
+
+      const reason = networkError ? networkError.message : `HTTP ${response.status}`;
+      this.log(`${label}: ${reason}, retry ${attempt + 1}/${maxRetries} in ${Math.round(delay / 1000)}s`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Delay before the next retry: the server's Retry-After if given,
+   * otherwise exponential back-off with jitter
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @param {Response|null} response
+   * @returns {number} milliseconds
+   * @private
+   */
+  _getRetryDelay(attempt, response) {
+    const retryAfter = response?.headers.get('retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (delay >= 0) return delay;
+    }
+
+    const backoff = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Check if an error means the cloud is unreachable or overloaded
+   * (as opposed to a rejected request)
+   * @param {Error} error
+   * @returns {boolean}
+   * @private
+   */
+  _isTransientError(error) {
+    return error.code === 'ETIMEDOUT'
+      || error.name === 'FetchError'
+      || error.name === 'AbortError'
+      || error.network === true
+      || error.status === 429
+      || error.status >= 500;
+  }
+
+  /**
+   * Check if the circuit breaker is open (cloud considered down)
+   * @returns {boolean}
+   */
+  isCircuitOpen() {
+    return this._circuitOpenUntil !== 0;
+  }
+
+  /**
+   * Record a request that reached the cloud
+   * @private
+   */
+  _recordSuccess() {
+    this._circuitFailures = 0;
+    if (!this.isCircuitOpen()) return;
+
+    clearTimeout(this._circuitProbeTimer);
+    this._circuitProbeTimer = null;
+    this._circuitOpenUntil = 0;
+    this._circuitCooldown = CIRCUIT_COOLDOWN;
+    this.log('hOn cloud reachable again, circuit closed');
+    this.onCircuitChange(false);
+  }
+
+  /**
+   * Record a transient failure; opens the circuit at the threshold and
+   * re-opens it with a longer cooldown when a probe fails
+   * @private
+   */
+  _recordFailure() {
+    this._circuitFailures++;
+
+    if (this.isCircuitOpen()) {
+      this._openCircuit(Math.min(this._circuitCooldown * 2, CIRCUIT_MAX_COOLDOWN));
+    } else if (this._circuitFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+      this._openCircuit(CIRCUIT_COOLDOWN);
+      this.onCircuitChange(true);
+    }
+  }
+
+  /**
+   * Open the circuit and schedule a probe request after the cooldown
+   * @param {number} cooldown - milliseconds
+   * @private
+   */
+  _openCircuit(cooldown) {
+    this._circuitCooldown = cooldown;
+    this._circuitOpenUntil = Date.now() + cooldown;
+    this.log(`hOn cloud unavailable after ${this._circuitFailures} failed request(s), pausing requests for ${Math.round(cooldown / 1000)}s`);
+
+    clearTimeout(this._circuitProbeTimer);
+    this._circuitProbeTimer = setTimeout(() => {
+      this._circuitProbeTimer = null;
+      this._apiRequest('/commands/v1/appliance', { probe: true })
+        .catch((error) => this.log('Circuit probe failed:', error.message));
+    }, cooldown);
+  }
+
+  /**
+   * Build the error thrown while the circuit is open
+   * @returns {Error}
+   * @private
+   */
+  _unavailableError() {
+    const retryIn = Math.max(0, Math.round((this._circuitOpenUntil - Date.now()) / 1000));
+    const error = new Error(`hOn cloud unavailable, retrying in ${retryIn}s`);
+    error.code = 'CLOUD_UNAVAILABLE';
+    return error;
+  }
+
+  /**
+   * Make an API request through the circuit breaker. While the circuit is
+   * open, requests fail immediately with code CLOUD_UNAVAILABLE.
+   * @param {string} endpoint
+   * @param {Object} [options]
+   * @param {boolean} [options.probe] - Internal: circuit probe, allowed while open
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _apiRequest(endpoint, options = {}) {
+    if (this.isCircuitOpen() && !options.probe) {
+      throw this._unavailableError();
+    }
+
+    try {
+      const result = await this._authenticatedRequest(endpoint, options);
+      this._recordSuccess();
+      return result;
+    } catch (error) {
+      // A probe that fails without an answer from the cloud schedules the next probe
+      if (this._isTransientError(error) || (options.probe && !error.status)) {
+        this._recordFailure();
+      } else if (error.status) {
+        // The cloud answered (e.g. 400), so it is up
+        this._recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure the tokens are valid, refreshing them through the circuit
+   * breaker like any other request
+   * @throws {Error} code CLOUD_UNAVAILABLE while the circuit is open
+   */
+  async ensureAuthenticated() {
+    if (this.isAuthenticated()) return;
+    if (this.isCircuitOpen()) {
+      throw this._unavailableError();
+    }
+
+    try {
+      await this._ensureAuthenticated();
+      this._recordSuccess();
+    } catch (error) {
+      if (this._isTransientError(error)) {
+        this._recordFailure();
+      } else if (error.status) {
+        this._recordSuccess();
+      }
+      throw error;
+    }
+  }
+
   /**
    * Make an authenticated API request with automatic retry on 401/403.
    *
@@ -279,20 +992,20 @@ class HonApi {
    * @returns {Promise<Object>}
    * @private
    */
-  async _apiRequest(endpoint, options = {}) {
+  async _authenticatedRequest(endpoint, options = {}) {
     await this._ensureAuthenticated();
 
-    const url = `${API_URL}${endpoint}`;
+    const url = `${this.apiUrl}${endpoint}`;
 
     const doFetch = async () => {
-      return fetch(url, {
+      return this._fetchWithRetry(url, {
         method: options.method || 'GET',
         headers: {
           ...this._buildAuthHeaders(),
           ...options.headers,
         },
         body: options.body ? JSON.stringify(options.body) : undefined,
-      });
+      }, endpoint.split('?')[0]);
     };
 
     // Level 0: normal request
@@ -305,7 +1018,10 @@ class HonApi {
         await this._safeRefresh();
       } catch (refreshError) {
         this._authenticated = false;
-        throw new Error(`Authentication failed (refresh error): ${refreshError.message}`);
+        if (this._isTransientError(refreshError)) throw refreshError;
+        const error = new Error(`Authentication failed (refresh error): ${refreshError.message}`);
+        error.status = refreshError.status;
+        throw error;
       }
 
       // Level 1: retry with fresh tokens
@@ -314,7 +1030,9 @@ class HonApi {
       if (response.status === 401 || response.status === 403) {
         this._authenticated = false;
         const text = await response.text();
-        throw new Error(`Authentication failed after refresh: ${response.status} - ${text}`);
+        const error = new Error(`Authentication failed after refresh: ${response.status} - ${text}`);
+        error.status = response.status;
+        throw error;
       }
     }
 
@@ -348,7 +1066,7 @@ class HonApi {
     this.log('Fetching command definitions for:', appliance.macAddress);
 
     const params = new URLSearchParams({
-      applianceType: appliance.applianceTypeName || 'AC',
+      applianceType: appliance.applianceTypeName || DEFAULT_APPLIANCE_TYPE,
       applianceModelId: String(appliance.applianceModelId || ''),
       macAddress: appliance.macAddress,
       os: 'ios',
@@ -373,12 +1091,16 @@ class HonApi {
   /**
    * Get appliance state
    * @param {string} macAddress - The MAC address (without timestamp)
+   * @param {string} [applianceType='AC'] - hOn appliance type (AC, WM, WD, TD, DW)
    * @returns {Promise<Object>}
    */
-  async getApplianceState(macAddress) {
-    const result = await this._apiRequest(
-      `/commands/v1/context?macAddress=${encodeURIComponent(macAddress)}&applianceType=AC&category=CYCLE`
-    );
+  async getApplianceState(macAddress, applianceType = DEFAULT_APPLIANCE_TYPE) {
+    const params = new URLSearchParams({
+      macAddress,
+      applianceType,
+      category: 'CYCLE',
+    });
+    const result = await this._apiRequest(`/commands/v1/context?${params.toString()}`);
 
     // Extract parameters from context
     const context = result.payload;
@@ -398,6 +1120,18 @@ class HonApi {
     return state;
   }
 
+  /**
+   * Get the usage statistics the hOn app shows (energy counters, cycle counts)
+   * @param {string} macAddress - The MAC address (without timestamp)
+   * @param {string} [applianceType='AC'] - hOn appliance type (AC, WM, WD, TD, DW)
+   * @returns {Promise<Object>} Statistics payload; empty when the appliance has none
+   */
+  async getStatistics(macAddress, applianceType = DEFAULT_APPLIANCE_TYPE) {
+    const params = new URLSearchParams({ macAddress, applianceType });
+    const result = await this._apiRequest(`/commands/v1/statistics?${params.toString()}`);
+    return result.payload || {};
+  }
+
   /**
    * Send a command to an appliance
    * @param {string} macAddress - The MAC address (without timestamp)
@@ -407,9 +1141,17 @@ class HonApi {
    * @param {Object} [options.ancillaryParameters] - Ancillary parameters
    * @param {Object} [options.applianceOptions] - Appliance options from device model
    * @param {string} [options.programName] - Program name for startProgram commands
+   * @param {string} [options.applianceType='AC'] - hOn appliance type (AC, WM, WD, TD, DW)
+   * @param {HonCommand} [options.command] - Command definition; parameters are validated
+   *   and normalized against it before anything is sent
    * @returns {Promise<Object>}
+   * @throws {Error} code INVALID_PARAMETER when a parameter doesn't fit the definition
    */
   async sendCommand(macAddress, commandName, parameters = {}, options = {}) {
+    if (options.command) {
+      parameters = options.command.validate(parameters);
+    }
+
     this.log(`Sending command ${commandName} to ${macAddress}:`, JSON.stringify(parameters));
 
     const now = new Date().toISOString().slice(0, -1) + 'Z';
@@ -433,7 +1175,7 @@ class HonApi {
       },
       ancillaryParameters: options.ancillaryParameters || {},
       parameters: parameters || {},
-      applianceType: 'AC',
+      applianceType: options.applianceType || DEFAULT_APPLIANCE_TYPE,
     };
 
     if (commandName === 'startProgram') {
@@ -448,6 +1190,91 @@ class HonApi {
     return result;
   }
 
+  /**
+   * Open the real-time push channel for the given appliances.
+   * Replaces any running channel.
+   * @param {Array} appliances - Appliance info from getAppliances()
+   * @param {Object} [handlers]
+   * @param {Function} [handlers.onState] - (macAddress, parameters) on a parameter update
+   * @param {Function} [handlers.onConnection] - (macAddress, connected) on appliance presence change
+   * @param {Function} [handlers.onStatusChange] - (connected) when the channel goes up or down
+   */
+  async startPush(appliances, handlers = {}) {
+    this.stopPush();
+
+    const push = new HonMqtt({
+      url: this.mqttUrl,
+      getCredentials: async () => {
+        await this.ensureAuthenticated();
+        return {
+          token: this.idToken,
+          signature: await this._getAwsToken(),
+          clientId: `${this._mobileId}_${crypto.randomBytes(8).toString('hex')}`,
+        };
+      },
+      log: this.log,
+      error: this.error,
+    });
+
+    if (handlers.onState) push.on('state', handlers.onState);
+    if (handlers.onConnection) push.on('connection', handlers.onConnection);
+    if (handlers.onStatusChange) {
+      push.on('online', () => handlers.onStatusChange(true));
+      push.on('offline', () => handlers.onStatusChange(false));
+    }
+
+    this._push = push;
+    push.setAppliances(appliances);
+    await push.start();
+  }
+
+  /**
+   * Close the push channel, if any
+   */
+  stopPush() {
+    if (this._push) {
+      this._push.removeAllListeners();
+      this._push.stop();
+      this._push = null;
+    }
+  }
+
+  /**
+   * Check if the push channel is connected
+   * @returns {boolean}
+   */
+  isPushConnected() {
+    return this._push !== null && this._push.isConnected();
+  }
+
+}
+
+/**
+ * Response whose body has already been read
+ * @param {Response} response
+ * @param {string} body
+ * @returns {Object} ok, status, url, headers, text() and json()
+ */
+function bufferResponse(response, body) {
+  return {
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    url: response.url,
+    headers: response.headers,
+    text: async () => body,
+    json: async () => JSON.parse(body),
+  };
+}
+
+/**
+ * Check if a network error was raised before the request reached the server
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isUnsentError(error) {
+  const code = error.code || error.cause?.code;
+  return UNSENT_ERROR_CODES.includes(code);
 }
 
 module.exports = HonApi;
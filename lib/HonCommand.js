@@ -0,0 +1,171 @@
+'use strict';
+
+const { parseParameter } = require('./HonParameter');
+
+/**
+ * One hOn command (settings, a startProgram program or stopProgram) with its
+ * typed parameters, parsed from the command definitions of an appliance
+ */
+class HonCommand {
+
+  /**
+   * Create a new HonCommand instance
+   * @param {string} name - Command name (settings, startProgram, stopProgram)
+   * @param {Object} [definition] - {parameters, ancillaryParameters} from the command definitions
+   * @param {string} [programName] - Program name for startProgram commands
+   */
+  constructor(name, definition = {}, programName = null) {
+    this.name = name;
+    this.programName = programName;
+    this.parameters = HonCommand._parseSection(definition.parameters);
+    this.ancillaryParameters = HonCommand._parseSection(definition.ancillaryParameters);
+
+    // Not sent back, like pyhOn
+    this.ancillaryParameters.delete('programRules');
+  }
+
+  /**
+   * Parse all commands of an appliance
+   * @param {Object} commands - Result of HonApi.getCommandDefinitions()
+   * @returns {{settings: HonCommand|null, stopProgram: HonCommand|null,
+   *   programs: Object<string, HonCommand>, commands: Object<string, HonCommand>}}
+   *   programs are keyed by upper-case program name (IOT_COOL); commands holds every
+   *   other command by name (settings, stopProgram, pauseProgram, resumeProgram, ...)
+   */
+  static fromDefinitions(commands = {}) {
+    const first = (category) => Object.values(category || {}).find(HonCommand._isDefinition) || null;
+
+    const programs = {};
+    for (const [name, definition] of Object.entries(commands.startProgram || {})) {
+      if (!HonCommand._isDefinition(definition)) continue;
+      const programName = name.toUpperCase();
+      programs[programName] = new HonCommand('startProgram', definition, programName);
+    }
+
+    const others = {};
+    for (const [name, category] of Object.entries(commands)) {
+      if (name === 'startProgram' || !category || typeof category !== 'object') continue;
+      const definition = name === 'settings'
+        ? category.setParameters || first(category)
+        : first(category);
+      if (definition) {
+        others[name] = new HonCommand(name, definition);
+      }
+    }
+
+    return {
+      settings: others.settings || null,
+      stopProgram: others.stopProgram || null,
+      programs,
+      commands: others,
+    };
+  }
+
+  /**
+   * Check if the command has a parameter
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.parameters.has(name);
+  }
+
+  /**
+   * Get a parameter
+   * @param {string} name
+   * @returns {HonParameter|undefined}
+   */
+  get(name) {
+    return this.parameters.get(name);
+  }
+
+  /**
+   * Values of the mandatory parameters (fixed value or default)
+   * @returns {Object}
+   */
+  getMandatoryValues() {
+    const values = {};
+    for (const [name, parameter] of this.parameters) {
+      if (parameter.mandatory && parameter.value !== undefined) {
+        values[name] = parameter.value;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Values of all ancillary parameters (the app sends all, not just mandatory)
+   * @returns {Object}
+   */
+  getAncillaryValues() {
+    const values = {};
+    for (const [name, parameter] of this.ancillaryParameters) {
+      if (parameter.value !== undefined) {
+        values[name] = parameter.value;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Validate and normalize outgoing parameters. Parameters the definition
+   * doesn't describe are passed unchanged.
+   * @param {Object} values
+   * @returns {Object} Normalized copy
+   * @throws {Error} code INVALID_PARAMETER, listing every invalid parameter
+   */
+  validate(values) {
+    const normalized = {};
+    const problems = [];
+
+    for (const [name, value] of Object.entries(values || {})) {
+      const parameter = this.parameters.get(name);
+      if (!parameter) {
+        normalized[name] = value;
+        continue;
+      }
+      try {
+        normalized[name] = parameter.normalize(value);
+      } catch (error) {
+        if (error.code !== 'INVALID_PARAMETER') throw error;
+        problems.push(error.message);
+      }
+    }
+
+    if (problems.length > 0) {
+      const label = this.programName ? `${this.name} ${this.programName}` : this.name;
+      const error = new Error(`Invalid ${label} command: ${problems.join('; ')}`);
+      error.code = 'INVALID_PARAMETER';
+      throw error;
+    }
+    return normalized;
+  }
+
+  /**
+   * Check if an object looks like a command definition
+   * @param {*} definition
+   * @returns {boolean}
+   * @private
+   */
+  static _isDefinition(definition) {
+    return Boolean(definition) && typeof definition === 'object' && typeof definition.parameters === 'object';
+  }
+
+  /**
+   * Parse a parameters section into a Map of typed parameters
+   * @param {Object} [section]
+   * @returns {Map<string, HonParameter>}
+   * @private
+   */
+  static _parseSection(section) {
+    const parameters = new Map();
+    for (const [name, definition] of Object.entries(section || {})) {
+      if (!definition || typeof definition !== 'object') continue;
+      parameters.set(name, parseParameter(name, definition));
+    }
+    return parameters;
+  }
+
+}
+
+module.exports = HonCommand;
@@ -0,0 +1,1065 @@
+'use strict';
+
+const Homey = require('homey');
+const HonCommand = require('./HonCommand');
+const { FixedParameter, RangeParameter, EnumParameter } = require('./HonParameter');
+const EnergyMeter = require('./EnergyMeter');
+const { parseErrorCodes, getErrorKey } = require('./HonErrors');
+
+// Polling interval bounds (seconds) and the fallback when the setting is missing
+const MIN_POLL_INTERVAL = 5;
+const MAX_POLL_INTERVAL = 3600;
+const DEFAULT_POLL_INTERVAL = 5;
+
+// Slow fallback polling interval while the push channel delivers updates
+const PUSH_FALLBACK_POLL_INTERVAL = 5 * 60 * 1000;
+
+// Adaptive polling: fast after a command or detected change, slow while idle,
+// exponential back-off while the appliance reports itself disconnected
+const ADAPTIVE_FAST_INTERVAL = 5000;
+const ADAPTIVE_FAST_DURATION = 3 * 60 * 1000;
+const ADAPTIVE_IDLE_INTERVAL = 5 * 60 * 1000;
+const ADAPTIVE_OFFLINE_MAX_INTERVAL = 30 * 60 * 1000;
+
+// How often the energy counter is read from the usage statistics
+const ENERGY_REFRESH_INTERVAL = 15 * 60 * 1000;
+
+// Statistics without a counter before the meter gives way to the driver's
+// approximation, and how often such an appliance is checked again
+const ENERGY_MISSING_LIMIT = 3;
+const ENERGY_RECHECK_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Capabilities every appliance type has: fault state and when it was last online
+const COMMON_CAPABILITIES = ['alarm_generic', 'hon_error_code', 'hon_error_description', 'hon_last_seen'];
+
+// A change matching a command Homey sent within this window is Homey's own
+const OWN_COMMAND_WINDOW = 3 * 60 * 1000;
+
+// Changes the appliance makes this soon after a Homey command are side effects of it
+// (e.g. rapid mode raising the fan speed); the margin covers clock differences with hOn
+const COMMAND_SIDE_EFFECT_WINDOW = 15 * 1000;
+const CLOCK_MARGIN = 5 * 1000;
+
+// Cumulative electricity counter (kWh), in the statistics or the appliance state
+const ENERGY_COUNTER_PARAMETERS = ['totalElectricityUsed'];
+
+// Back-off while the command definitions can't be loaded (cloud down, appliance missing from the list)
+const DEFINITIONS_RETRY_MIN_INTERVAL = 60 * 1000;
+const DEFINITIONS_RETRY_MAX_INTERVAL = 30 * 60 * 1000;
+
+/**
+ * Base class for hOn appliances
+ *
+ * Handles what every appliance type shares: identity, the account-wide API
+ * client, state from the app's shared poller and push channel, adaptive
+ * polling, availability and the command definitions.
+ *
+ * Subclasses implement:
+ *   onHonInit()                  - set up listeners etc. before updates start
+ *   _updateCapabilities(state)   - map a full state onto capabilities
+ * and may override:
+ *   onCommandDefinitions(commands) - react to the parsed command definitions
+ *   _applyState(state, fromPoll)   - filter or extend a state before it is applied
+ *   _isIdle()                      - poll slowly while true
+ *   _getActivityParameters()       - parameters whose change means activity
+ *   _getEnergyCapabilities()       - meter_power etc., when the appliance can report energy
+ *   _getControlParameters()        - parameters watched for changes made outside Homey
+ *   _isApplianceChange(previous)   - changes are the appliance's own doing (e.g. a program ending)
+ *   onExternalChange(changes)      - react to changes made outside Homey
+ */
+class HonDevice extends Homey.Device {
+
+  /**
+   * onInit is called when the device is initialized.
+   */
+  async onInit() {
+    // Get stored device data
+    // Strip timestamp suffix if present (e.g., "mac-address#2024-01-01..." -> "mac-address")
+    const rawId = this.getData().id || '';
+    this.deviceId = rawId.split('#')[0];
+    this.applianceId = this.getData().applianceId;
+
+    // Devices paired before other appliance types were supported carry no type
+    this.applianceType = this.getStoreValue('applianceType') || this.driver.applianceTypes[0];
+
+    this.log(`Device ID (MAC): ${this.deviceId}, Appliance ID: ${this.applianceId}, type: ${this.applianceType}`);
+
+    // Last full state from a poll, patched by push updates
+    this._lastState = null;
+
+    // Connectivity from lastConnEvent; kept in the store so a change while the app was stopped still triggers
+    this._online = this.getStoreValue('online') ?? null;
+    this._lastSeen = this.getStoreValue('lastSeen') || null;
+
+    // Length (minutes) of the running program, from its first remaining time
+    this._programDuration = this.getStoreValue('programDuration') ?? null;
+
+    // Commands sent by Homey, to tell its own changes from those made outside Homey
+    this._sentCommands = [];
+
+    // Adaptive polling state
+    this._fastPollUntil = 0;
+    this._disconnectedPolls = 0;
+    this._reportedPollInterval = null;
+
+    // Command definitions retry
+    this._definitionsTimer = null;
+    this._definitionsRetryInterval = DEFINITIONS_RETRY_MIN_INTERVAL;
+
+    await this.onHonInit();
+
+    // Devices paired before fault and connectivity reporting get these capabilities here
+    for (const capability of COMMON_CAPABILITIES) {
+      await this._setCapabilityPresent(capability, true);
+    }
+
+    // Energy counter, read from the usage statistics after a poll
+    await this._initEnergy();
+
+    // Subscribe to the app's shared poller for device state
+    this.homey.app.registerDevice(this);
+
+    // Fetch command definitions for mandatory parameters
+    this._fetchCommandDefinitions();
+  }
+
+  /**
+   * Set up the device before state updates start
+   */
+  async onHonInit() {}
+
+  /**
+   * Called once the command definitions have been loaded and parsed
+   * @param {Object} commands - Result of HonCommand.fromDefinitions()
+   */
+  async onCommandDefinitions(commands) {}
+
+  /**
+   * Get the API instance (always fresh from app — never cache, because repair
+   * on any device replaces the shared HonApi instance in app.js)
+   * @returns {HonApi|null}
+   * @protected
+   */
+  _getApi() {
+    return this.homey.app.getApi();
+  }
+
+  /**
+   * Fetch command definitions and extract mandatory/ancillary parameters.
+   * Tried again with back-off until it succeeds.
+   * @protected
+   */
+  async _fetchCommandDefinitions() {
+    this.homey.clearTimeout(this._definitionsTimer);
+    this._definitionsTimer = null;
+
+    try {
+      const api = this._getApi();
+      if (!api) throw new Error('API not available');
+
+      // Get appliance info first
+      const appliances = await api.getAppliances();
+      const appliance = appliances.find(a => a.macAddress?.split('#')[0] === this.deviceId);
+      if (!appliance) throw new Error('Appliance not found in the appliance list');
+
+      const commands = await api.getCommandDefinitions(appliance);
+
+      // Extract applianceModel.options for API calls
+      const appModel = commands.applianceModel || {};
+      this._applianceOptions = appModel.options || commands.options || {};
+
+      // Store the appliance info for API calls
+      this._applianceInfo = appliance;
+
+      // Typed model of the commands, used to build and validate outgoing parameters
+      this._commands = HonCommand.fromDefinitions(commands);
+
+      // Mandatory parameters + ALL ancillary parameters (Python sends all, not just mandatory)
+      const { settings } = this._commands;
+      if (settings) {
+        this._mandatoryParams = settings.getMandatoryValues();
+        this._ancillaryParams = settings.getAncillaryValues();
+      }
+
+      this._definitionsRetryInterval = DEFINITIONS_RETRY_MIN_INTERVAL;
+      await this.onCommandDefinitions(this._commands);
+    } catch (error) {
+      if (this._commands) {
+        this.error('Failed to process command definitions:', error.message);
+        return;
+      }
+      const delay = this._definitionsRetryInterval;
+      this._definitionsRetryInterval = Math.min(delay * 2, DEFINITIONS_RETRY_MAX_INTERVAL);
+      this.error(`Failed to fetch command definitions, retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      this._definitionsTimer = this.homey.setTimeout(() => this._fetchCommandDefinitions(), delay);
+    }
+  }
+
+  /**
+   * Send a command to this appliance
+   * @param {string} commandName - settings, startProgram, stopProgram, ...
+   * @param {Object} params - Command parameters
+   * @param {Object} [options] - Extra sendCommand options (programName, command, ancillaryParameters)
+   * @protected
+   */
+  async _sendCommand(commandName, params, options = {}) {
+    const api = this._getApi();
+    if (!api) throw new Error('API not available');
+
+    // Recorded before sending: the push update can arrive before the response
+    this._recordSentCommand(params);
+
+    await api.sendCommand(this.deviceId, commandName, params, {
+      ancillaryParameters: this._ancillaryParams || {},
+      applianceOptions: this._applianceOptions || {},
+      applianceType: this.applianceType,
+      ...options,
+    });
+  }
+
+  /**
+   * Programs this appliance offers, for flow card autocomplete
+   * @returns {Array<{id: string, name: string}>}
+   */
+  getPrograms() {
+    return Object.keys(this._commands?.programs || {})
+      .map((id) => ({ id, name: this._formatProgramName(id) }));
+  }
+
+  /**
+   * Turn a program identifier into a readable name (iot_cotton_60 -> Cotton 60)
+   * @param {*} program
+   * @returns {string}
+   * @protected
+   */
+  _formatProgramName(program) {
+    const words = String(program)
+      .replace(/^iot_/i, '')
+      .split(/[_\s]+/)
+      .filter(Boolean)
+      .map((word) => word.toLowerCase());
+    if (words.length === 0) return String(program);
+
+    const name = words.join(' ');
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  /**
+   * Raw hOn parameters, for the parameter flow card autocomplete
+   * @param {boolean} [settable] - Only parameters the settings command accepts;
+   *   otherwise also every parameter the appliance reports
+   * @returns {Array<{id: string, name: string, description: string}>}
+   *   description holds the allowed values, or the current value
+   */
+  getParameters(settable = false) {
+    const parameters = this._getSettableParameters();
+    const state = this._lastState || {};
+    const names = settable
+      ? [...parameters.keys()]
+      : [...new Set([...parameters.keys(), ...Object.keys(state)])];
+
+    return names
+      .filter((name) => !isObject(this._extractValue(state[name])))
+      .sort()
+      .map((name) => ({
+        id: name,
+        name,
+        description: settable
+          ? describeValues(parameters.get(name))
+          : String(this._extractValue(state[name]) ?? ''),
+      }));
+  }
+
+  /**
+   * Parameters of the settings command that can take more than one value
+   * @returns {Map<string, HonParameter>}
+   * @protected
+   */
+  _getSettableParameters() {
+    const parameters = this._commands?.settings?.parameters || new Map();
+    return new Map([...parameters].filter(([, parameter]) => !(parameter instanceof FixedParameter)));
+  }
+
+  /**
+   * Compare the current value of a raw parameter
+   * @param {string} name
+   * @param {string} comparison - equal, above or below
+   * @param {string} value - Checked against the parameter's definition when it has one
+   * @returns {boolean}
+   */
+  compareParameter(name, comparison, value) {
+    const current = this._extractValue(this._lastState?.[name]);
+    if (current === undefined || isObject(current)) {
+      throw new Error(this.homey.__('errors.parameter_unknown', { name }));
+    }
+
+    this._commands?.settings?.get(name)?.normalize(value);
+    if (comparison === 'equal') {
+      return sameValue(current, value);
+    }
+
+    const expected = Number(value);
+    const actual = Number(current);
+    if (value === '' || current === '' || !Number.isFinite(expected) || !Number.isFinite(actual)) {
+      throw new Error(this.homey.__('errors.parameter_not_numeric', { name }));
+    }
+    return comparison === 'above' ? actual > expected : actual < expected;
+  }
+
+  /**
+   * Show how far the running program is. The longest remaining time seen
+   * since it started is taken as its duration.
+   * @param {boolean} running - A program is running
+   * @param {number} [remaining] - Remaining minutes
+   * @protected
+   */
+  async _updateProgramProgress(running, remaining) {
+    if (!running) {
+      // Progress keeps its last value until the next program starts
+      if (this._programDuration !== null) {
+        this._programDuration = null;
+        await this.setStoreValue('programDuration', null).catch(this.error);
+      }
+      return;
+    }
+    if (!Number.isFinite(remaining)) return;
+
+    if (this._programDuration === null || remaining > this._programDuration) {
+      this._programDuration = remaining;
+      await this.setStoreValue('programDuration', remaining).catch(this.error);
+    }
+
+    const progress = this._programDuration > 0
+      ? Math.round(100 * (1 - remaining / this._programDuration))
+      : 100;
+    if (this.hasCapability('hon_program_progress')) {
+      await this.setCapabilityValue('hon_program_progress', progress).catch(this.error);
+    }
+  }
+
+  /**
+   * Remember the parameters of a command sent by Homey
+   * @param {Object} params
+   * @private
+   */
+  _recordSentCommand(params) {
+    const now = Date.now();
+    this._sentCommands = this._sentCommands.filter((command) => now - command.sentAt < OWN_COMMAND_WINDOW);
+    this._sentCommands.push({ params: { ...params }, sentAt: now });
+  }
+
+  /**
+   * Parameters watched for changes made outside Homey (remote control, hOn app)
+   * @returns {Array<string>}
+   * @protected
+   */
+  _getControlParameters() {
+    return [];
+  }
+
+  /**
+   * Check if the appliance changes its parameters by itself in this state,
+   * e.g. while a program runs; such changes are not made outside Homey
+   * @param {Object} previous - Previous full state
+   * @returns {boolean}
+   * @protected
+   */
+  _isApplianceChange(previous) {
+    return false;
+  }
+
+  /**
+   * Called with the parameters someone changed outside Homey, before they are applied
+   * @param {Array<{param: string, from: *, to: *}>} changes
+   */
+  async onExternalChange(changes) {}
+
+  /**
+   * Classify the control parameters that changed as Homey's own or made
+   * outside Homey, and trigger the flow for the latter
+   * @param {Object|null} previous - Previous full state
+   * @param {Object} update - New full state, or the parameters of a push update
+   * @private
+   */
+  async _detectExternalChanges(previous, update) {
+    if (!previous || this._isApplianceChange(previous)) return;
+
+    const changes = [];
+    for (const param of this._getControlParameters()) {
+      if (update[param] === undefined) continue;
+
+      const from = this._extractValue(previous[param]);
+      const to = this._extractValue(update[param]);
+      if (from === undefined || sameValue(from, to)) continue;
+
+      if (!this._isOwnChange(param, to, update[param]?.lastUpdate)) {
+        changes.push({ param, from, to });
+      }
+    }
+    if (changes.length === 0) return;
+
+    const summary = changes.map(({ param, from, to }) => `${param}: ${from} → ${to}`).join(', ');
+    this.log(`Changed outside Homey: ${summary}`);
+    await this.onExternalChange(changes);
+    await this.homey.flow.getDeviceTriggerCard('changed_externally')
+      .trigger(this, {
+        parameters: changes.map(({ param }) => param).join(', '),
+        changes: summary,
+      }).catch(this.error);
+  }
+
+  /**
+   * Called with every parameter whose value changed, whoever changed it
+   * @param {Array<{param: string, from: *, to: *}>} changes
+   */
+  async onParameterChange(changes) {}
+
+  /**
+   * Collect the parameters whose value changed and pass them to onParameterChange
+   * @param {Object|null} previous - Previous full state
+   * @param {Object} update - New full state, or the parameters of a push update
+   * @private
+   */
+  async _reportParameterChanges(previous, update) {
+    if (!previous) return;
+
+    const changes = [];
+    for (const [param, raw] of Object.entries(update)) {
+      const from = this._extractValue(previous[param]);
+      const to = this._extractValue(raw);
+      if (from === undefined || isObject(from) || isObject(to) || sameValue(from, to)) continue;
+      changes.push({ param, from, to });
+    }
+    if (changes.length > 0) {
+      await this.onParameterChange(changes);
+    }
+  }
+
+  /**
+   * Check if a change was made by a command Homey sent: the value was
+   * requested, or the appliance changed it right after a command
+   * @param {string} param
+   * @param {*} value - New value
+   * @param {string} [lastUpdate] - When hOn registered the change
+   * @returns {boolean}
+   * @private
+   */
+  _isOwnChange(param, value, lastUpdate) {
+    const now = Date.now();
+    const recent = this._sentCommands.filter((command) => now - command.sentAt < OWN_COMMAND_WINDOW);
+    if (recent.some((command) => command.params[param] !== undefined && sameValue(command.params[param], value))) {
+      return true;
+    }
+
+    const changedAt = Date.parse(lastUpdate);
+    if (!Number.isFinite(changedAt)) return false;
+    return recent.some((command) => changedAt >= command.sentAt - CLOCK_MARGIN
+      && changedAt - command.sentAt <= COMMAND_SIDE_EFFECT_WINDOW);
+  }
+
+  /**
+   * Get the polling interval, used by the app's shared poller
+   * @returns {number} milliseconds
+   */
+  getPollInterval() {
+    const { interval, reason } = this._computePollInterval();
+    this._reportPollInterval(interval, reason);
+    return interval;
+  }
+
+  /**
+   * Work out the next polling interval. In fixed mode the user's poll_interval
+   * applies; in adaptive mode it is the interval while the appliance is active.
+   * While the push channel is up, polling is only a slow safety net.
+   * @returns {{interval: number, reason: string}}
+   * @protected
+   */
+  _computePollInterval() {
+    // Get interval from settings (seconds), fall back to default
+    const intervalSec = this.getSetting('poll_interval') || DEFAULT_POLL_INTERVAL;
+    const baseInterval = Math.max(MIN_POLL_INTERVAL, Math.min(MAX_POLL_INTERVAL, intervalSec)) * 1000;
+
+    let interval = baseInterval;
+    let reason = 'fixed';
+
+    if (this.getSetting('poll_mode') !== 'fixed') {
+      if (this._disconnectedPolls > 0) {
+        interval = Math.min(baseInterval * 2 ** this._disconnectedPolls, ADAPTIVE_OFFLINE_MAX_INTERVAL);
+        reason = 'offline';
+      } else if (Date.now() < this._fastPollUntil) {
+        interval = ADAPTIVE_FAST_INTERVAL;
+        reason = 'active';
+      } else if (this._isIdle()) {
+        interval = Math.max(baseInterval, ADAPTIVE_IDLE_INTERVAL);
+        reason = 'idle';
+      } else {
+        reason = 'running';
+      }
+    }
+
+    if (this.homey.app.isPushConnected()) {
+      interval = Math.max(interval, PUSH_FALLBACK_POLL_INTERVAL);
+      reason = 'push';
+    }
+
+    return { interval, reason };
+  }
+
+  /**
+   * Check if the appliance is idle (adaptive polling slows down)
+   * @returns {boolean}
+   * @protected
+   */
+  _isIdle() {
+    return false;
+  }
+
+  /**
+   * Parameters whose change counts as activity (sensor readings excluded)
+   * @returns {Array<string>}
+   * @protected
+   */
+  _getActivityParameters() {
+    return [];
+  }
+
+  /**
+   * Show the current interval in the device settings for troubleshooting
+   * @param {number} interval - milliseconds
+   * @param {string} reason
+   * @private
+   */
+  _reportPollInterval(interval, reason) {
+    const text = `${Math.round(interval / 1000)} s (${this.homey.__(`poll_reasons.${reason}`)})`;
+    if (text === this._reportedPollInterval) return;
+
+    this._reportedPollInterval = text;
+    this.setSettings({ current_poll_interval: text }).catch(this.error);
+  }
+
+  /**
+   * Poll fast for a while (after a command or an observed change)
+   * @protected
+   */
+  _markActive() {
+    const wasFast = Date.now() < this._fastPollUntil;
+    this._fastPollUntil = Date.now() + ADAPTIVE_FAST_DURATION;
+    if (!wasFast && this.getSetting('poll_mode') !== 'fixed' && !this.homey.app.isPushConnected()) {
+      this.homey.app.requestPoll(this, ADAPTIVE_FAST_INTERVAL);
+    }
+  }
+
+  /**
+   * Update activity and connectivity tracking from a new state
+   * @param {Object|null} previous - Previous full state
+   * @param {Object} state - New full state
+   * @param {boolean} fromPoll - Each poll while disconnected doubles the interval
+   * @private
+   */
+  _trackActivity(previous, state, fromPoll) {
+    if (state.lastConnEvent) {
+      if (state.lastConnEvent.category === 'DISCONNECTED') {
+        this._disconnectedPolls = fromPoll ? this._disconnectedPolls + 1 : Math.max(this._disconnectedPolls, 1);
+      } else if (this._disconnectedPolls > 0) {
+        this._disconnectedPolls = 0;
+        this.log('Appliance reconnected, resuming normal polling');
+      }
+    }
+
+    if (!previous) return;
+    const changed = this._getActivityParameters().some((param) => state[param] !== undefined
+      && String(this._extractValue(state[param])) !== String(this._extractValue(previous[param])));
+    if (changed) {
+      this._markActive();
+    }
+  }
+
+  /**
+   * Follow the appliance's connection to the hOn cloud: record when it was
+   * last seen and trigger the online/offline flows when it changes
+   * @param {Object} state - Full device state
+   * @private
+   */
+  async _updateConnectivity(state) {
+    const event = state.lastConnEvent;
+    if (!event?.category) return;
+
+    const online = event.category !== 'DISCONNECTED';
+    const eventTime = Date.parse(event.instantTime);
+
+    // Online: seen now. Offline: last seen when it disconnected.
+    if (online) {
+      await this._setLastSeen(new Date().toISOString());
+    } else if (Number.isFinite(eventTime)) {
+      await this._setLastSeen(new Date(eventTime).toISOString());
+    }
+
+    if (online === this._online) return;
+    const previous = this._online;
+    this._online = online;
+    await this.setStoreValue('online', online).catch(this.error);
+
+    // First event after pairing: nothing changed yet
+    if (previous === null) return;
+
+    const lastSeenText = this._formatTime(this._lastSeen);
+    if (online) {
+      this.log('Appliance is back online');
+      await this.homey.flow.getDeviceTriggerCard('appliance_online')
+        .trigger(this).catch(this.error);
+    } else {
+      this.log(`Appliance went offline, last seen ${lastSeenText}`);
+      await this.homey.flow.getDeviceTriggerCard('appliance_offline')
+        .trigger(this, { last_seen: lastSeenText }).catch(this.error);
+    }
+  }
+
+  /**
+   * Record when the appliance was last seen online
+   * @param {string} lastSeen - ISO timestamp
+   * @private
+   */
+  async _setLastSeen(lastSeen) {
+    const previousText = this._lastSeen && this._formatTime(this._lastSeen);
+    this._lastSeen = lastSeen;
+
+    // The capability shows minutes, so only write when the shown text changes
+    const text = this._formatTime(lastSeen);
+    if (text === previousText && this.getCapabilityValue('hon_last_seen') === text) return;
+    await this.setStoreValue('lastSeen', lastSeen).catch(this.error);
+    await this.setCapabilityValue('hon_last_seen', text).catch(this.error);
+  }
+
+  /**
+   * Format a timestamp in Homey's timezone and language
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string}
+   * @private
+   */
+  _formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString(this.homey.i18n.getLanguage(), {
+      timeZone: this.homey.clock.getTimezone(),
+      dateStyle: 'short',
+      timeStyle: 'short',
+    });
+  }
+
+  /**
+   * Check if the appliance is connected to the hOn cloud (true until it reports otherwise)
+   * @returns {boolean}
+   */
+  isOnline() {
+    return this._online !== false;
+  }
+
+  /**
+   * Mark the device unavailable while the appliance is offline, available otherwise.
+   * While the hOn cloud is down the app's onCloudAvailabilityChanged decides,
+   * so push updates don't flip the device back.
+   * @private
+   */
+  async _updateAvailability() {
+    if (this._getApi()?.isCircuitOpen()) return;
+
+    if (!this.isOnline()) {
+      if (this.getAvailable()) {
+        const lastSeen = this._lastSeen ? this._formatTime(this._lastSeen) : '-';
+        await this.setUnavailable(this.homey.__('errors.appliance_offline', { last_seen: lastSeen })).catch(this.error);
+      }
+      return;
+    }
+
+    if (!this.getAvailable()) {
+      await this.setAvailable().catch(this.error);
+    }
+  }
+
+  /**
+   * Show the faults in the errors parameter and trigger the error flows when they change
+   * @param {Object} state - Full device state
+   * @private
+   */
+  async _updateErrors(state) {
+    if (state.errors === undefined) return;
+
+    const codes = parseErrorCodes(this._extractValue(state.errors));
+    const code = codes.join(', ');
+    const previous = this.getCapabilityValue('hon_error_code') || '';
+    if (code === previous && this.getCapabilityValue('alarm_generic') !== null) return;
+
+    const description = codes.length > 0
+      ? codes.map((single) => this._describeError(single)).join('; ')
+      : this.homey.__('error_descriptions.none');
+
+    await this.setCapabilityValue('alarm_generic', codes.length > 0).catch(this.error);
+    await this.setCapabilityValue('hon_error_code', code).catch(this.error);
+    await this.setCapabilityValue('hon_error_description', description).catch(this.error);
+    if (code === previous) return;
+
+    if (code) {
+      this.log(`Appliance reported error ${code}: ${description}`);
+      await this.homey.flow.getDeviceTriggerCard('error_reported')
+        .trigger(this, { code, description }).catch(this.error);
+    } else {
+      this.log(`Error ${previous} cleared`);
+      await this.homey.flow.getDeviceTriggerCard('error_cleared')
+        .trigger(this, { code: previous }).catch(this.error);
+    }
+  }
+
+  /**
+   * Readable description of one error code
+   * @param {string} code
+   * @returns {string}
+   * @private
+   */
+  _describeError(code) {
+    const key = getErrorKey(code, this.applianceType);
+    return key
+      ? this.homey.__(`error_descriptions.${key}`)
+      : this.homey.__('error_descriptions.unknown', { code });
+  }
+
+  /**
+   * Check if the appliance reports a fault
+   * @returns {boolean}
+   */
+  hasError() {
+    return this.getCapabilityValue('alarm_generic') === true;
+  }
+
+  /**
+   * Add or remove one capability
+   * @param {string} capability
+   * @param {boolean} present
+   * @protected
+   */
+  async _setCapabilityPresent(capability, present) {
+    if (present && !this.hasCapability(capability)) {
+      this.log(`Adding capability ${capability} (supported by this model)`);
+      await this.addCapability(capability).catch(this.error);
+    } else if (!present && this.hasCapability(capability)) {
+      this.log(`Removing capability ${capability} (not supported by this model)`);
+      await this.removeCapability(capability).catch(this.error);
+    }
+  }
+
+  /**
+   * Energy capabilities of this appliance type (meter_power, measure_power,
+   * meter_power.today, meter_power.month); none by default
+   * @returns {Array<string>}
+   * @protected
+   */
+  _getEnergyCapabilities() {
+    return [];
+  }
+
+  /**
+   * Restore the energy meter, unless earlier checks found the appliance
+   * doesn't report its consumption
+   * @private
+   */
+  async _initEnergy() {
+    this._energyMeter = null;
+    this._nextEnergyRefresh = 0;
+    this._energyIdle = null;
+    this._energyMisses = 0;
+
+    if (this._getEnergyCapabilities().length === 0 || this.getStoreValue('energySupported') === false) return;
+    await this._setEnergySupported(true);
+  }
+
+  /**
+   * Switch between the measured energy capabilities and the driver's
+   * approximation, which Homey uses while measure_power is absent
+   * @param {boolean} supported
+   * @private
+   */
+  async _setEnergySupported(supported) {
+    // Devices paired before energy reporting get the capabilities here
+    for (const capability of this._getEnergyCapabilities()) {
+      await this._setCapabilityPresent(capability, supported);
+    }
+    await this.setStoreValue('energySupported', supported).catch(this.error);
+
+    this._energyMeter = supported
+      ? new EnergyMeter({ state: this.getStoreValue('energy'), timezone: this.homey.clock.getTimezone() })
+      : null;
+  }
+
+  /**
+   * Read the energy counter when it is due, or right away when the appliance
+   * switched between idle and active so the power estimate follows quickly.
+   * An appliance without a counter is checked again once a day.
+   * @private
+   */
+  async _refreshEnergy() {
+    if (this._getEnergyCapabilities().length === 0) return;
+
+    const supported = this._energyMeter !== null;
+    const idle = this._isIdle();
+    const idleChanged = supported && this._energyIdle !== null && idle !== this._energyIdle;
+    this._energyIdle = idle;
+    if (!idleChanged && Date.now() < this._nextEnergyRefresh) return;
+    this._nextEnergyRefresh = Date.now() + (supported ? ENERGY_REFRESH_INTERVAL : ENERGY_RECHECK_INTERVAL);
+
+    const api = this._getApi();
+    if (!api) return;
+
+    // A failed fetch throws and proves nothing; only answers without a counter count
+    const statistics = await api.getStatistics(this.deviceId, this.applianceType);
+    const counter = this._findEnergyCounter({ ...(this._lastState || {}), ...statistics });
+    if (counter === null) {
+      if (!supported) return;
+
+      this._energyMisses++;
+      if (this._energyMisses < ENERGY_MISSING_LIMIT) {
+        this.log(`No energy counter in the usage statistics (${this._energyMisses}/${ENERGY_MISSING_LIMIT})`);
+        return;
+      }
+      this.log('Appliance does not report its energy consumption, using the approximation instead');
+      await this._setEnergySupported(false);
+      return;
+    }
+
+    this._energyMisses = 0;
+    if (!supported) {
+      this.log('Appliance reports its energy consumption, adding energy capabilities');
+      await this._setEnergySupported(true);
+    }
+
+    const reading = this._energyMeter.update(counter);
+    await this.setStoreValue('energy', this._energyMeter.state).catch(this.error);
+
+    await this.setCapabilityValue('meter_power', reading.meter).catch(this.error);
+    if (this.hasCapability('meter_power.today')) {
+      await this.setCapabilityValue('meter_power.today', reading.today).catch(this.error);
+    }
+    if (this.hasCapability('meter_power.month')) {
+      await this.setCapabilityValue('meter_power.month', reading.month).catch(this.error);
+    }
+
+    // Standby draw is below the counter's resolution; show 0 W while idle
+    const power = idle ? 0 : reading.power;
+    if (power !== null && this.hasCapability('measure_power')) {
+      await this.setCapabilityValue('measure_power', power).catch(this.error);
+    }
+  }
+
+  /**
+   * Find the cumulative electricity counter
+   * @param {Object} values - Statistics and state parameters
+   * @returns {number|null} kWh
+   * @private
+   */
+  _findEnergyCounter(values) {
+    for (const param of ENERGY_COUNTER_PARAMETERS) {
+      const raw = this._extractValue(values[param]);
+      const counter = raw === '' || raw === null ? NaN : Number(raw);
+      if (Number.isFinite(counter) && counter >= 0) {
+        return counter;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Apply a full state to the capabilities
+   * @param {Object} state - Full device state
+   * @param {boolean} fromPoll - true for a polled state, false for a push update
+   * @protected
+   */
+  async _applyState(state, fromPoll) {
+    await this._updateCapabilities(state);
+  }
+
+  /**
+   * Map a full state onto capabilities
+   * @param {Object} state
+   * @protected
+   */
+  async _updateCapabilities(state) {}
+
+  /**
+   * Called by the app when the push channel goes up or down
+   * @param {boolean} connected
+   */
+  async onPushStatusChanged(connected) {
+    this.log(`Push channel ${connected ? 'connected, slowing down polling' : 'lost, resuming regular polling'}`);
+    this.homey.app.requestPoll(this);
+  }
+
+  /**
+   * Called by the app with parameter updates pushed by the appliance
+   * @param {Object} parameters - Changed parameters, same shape as the polled state
+   */
+  async onPushState(parameters) {
+    // Push updates only carry changed parameters; apply them on top of the last full state
+    const previous = this._lastState;
+    await this._detectExternalChanges(previous, parameters);
+    await this._reportParameterChanges(previous, parameters);
+    this._lastState = { ...(previous || {}), ...parameters };
+
+    // A parameter update means the appliance is connected, whatever the last connection event said
+    if (!parameters.lastConnEvent && this._lastState.lastConnEvent?.category === 'DISCONNECTED') {
+      this._lastState.lastConnEvent = { category: 'CONNECTED', instantTime: new Date().toISOString() };
+    }
+    this._trackActivity(previous, this._lastState, false);
+    await this._applyState(this._lastState, false);
+    await this._updateErrors(this._lastState);
+    await this._updateConnectivity(this._lastState);
+    this._refreshEnergy().catch((error) => this.error('Failed to refresh energy:', error.message));
+
+    // Appliance came back online: stop backing off right away
+    if (parameters.lastConnEvent?.category === 'CONNECTED') {
+      this.homey.app.requestPoll(this);
+    }
+
+    await this._updateAvailability();
+  }
+
+  /**
+   * Called by the app when the hOn cloud goes down (circuit open) or recovers
+   * @param {boolean} available
+   */
+  async onCloudAvailabilityChanged(available) {
+    if (!available) {
+      await this.setUnavailable(this.homey.__('errors.api_unavailable')).catch(this.error);
+      return;
+    }
+    await this._updateAvailability();
+    this.homey.app.requestPoll(this);
+  }
+
+  /**
+   * Called by the app's shared poller with the polled device state
+   * @param {Object|null} state
+   */
+  async onPollState(state) {
+    if (!state) {
+      this.log('No state received');
+      return;
+    }
+    this._trackActivity(this._lastState, state, true);
+    await this._detectExternalChanges(this._lastState, state);
+    await this._reportParameterChanges(this._lastState, state);
+    this._lastState = state;
+
+    // Update capabilities from state
+    await this._applyState(state, true);
+    await this._updateErrors(state);
+    await this._updateConnectivity(state);
+    this._refreshEnergy().catch((error) => this.error('Failed to refresh energy:', error.message));
+
+    // Available, unless the appliance itself is offline
+    await this._updateAvailability();
+  }
+
+  /**
+   * Called by the app's shared poller when polling this device failed
+   * @param {Error} error
+   */
+  async onPollError(error) {
+    this.error('Failed to poll device state:', error.message);
+
+    if (error.code === 'NOT_AUTHENTICATED') {
+      await this.setUnavailable(this.homey.__('errors.not_authenticated')).catch(this.error);
+      return;
+    }
+
+    if (error.code === 'CLOUD_UNAVAILABLE') {
+      await this.setUnavailable(this.homey.__('errors.api_unavailable')).catch(this.error);
+      return;
+    }
+
+    // Mark device as unavailable after unrecoverable auth failures
+    if (error.message.includes('re-authenticate') || error.message.includes('No refresh token')) {
+      await this.setUnavailable('Authentication failed. Use Repair to reconnect.').catch(this.error);
+    }
+  }
+
+  /**
+   * Extract value from API response (handles both direct values and {parNewVal, lastUpdate} objects)
+   * @param {*} value
+   * @returns {*}
+   * @protected
+   */
+  _extractValue(value) {
+    if (value && typeof value === 'object') {
+      // API returns {parNewVal: "value", lastUpdate: "timestamp"}
+      if ('parNewVal' in value) {
+        return value.parNewVal;
+      }
+      if ('parValue' in value) {
+        return value.parValue;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * onSettings is called when the user updates the device's settings.
+   */
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    this.log('Device settings changed:', changedKeys);
+
+    if (changedKeys.includes('poll_interval') || changedKeys.includes('poll_mode')) {
+      this.log(`Polling changed to ${newSettings.poll_mode} mode, ${newSettings.poll_interval}s interval`);
+      this.homey.app.requestPoll(this);
+    }
+  }
+
+  /**
+   * onUninit is called when the device is destroyed (app stop or restart).
+   */
+  async onUninit() {
+    this.homey.clearTimeout(this._definitionsTimer);
+    this.homey.app.unregisterDevice(this);
+  }
+
+  /**
+   * onDeleted is called when the user deletes the device.
+   */
+  async onDeleted() {
+    this.homey.clearTimeout(this._definitionsTimer);
+    this.homey.app.unregisterDevice(this);
+  }
+
+}
+
+/**
+ * Compare two hOn values; numbers match regardless of formatting ("24" = "24.0")
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  if (String(a) === String(b)) return true;
+  return a !== '' && b !== '' && a !== null && b !== null && Number(a) === Number(b);
+}
+
+/**
+ * Allowed values of a parameter, for display
+ * @param {HonParameter} parameter
+ * @returns {string}
+ */
+function describeValues(parameter) {
+  if (parameter instanceof RangeParameter && Number.isFinite(parameter.min) && Number.isFinite(parameter.max)) {
+    return parameter.step === 1 ? `${parameter.min}–${parameter.max}` : `${parameter.min}–${parameter.max}, step ${parameter.step}`;
+  }
+  if (parameter instanceof EnumParameter) {
+    return parameter.values.join(', ');
+  }
+  return '';
+}
+
+/**
+ * Check for a structured value (e.g. lastConnEvent) rather than a plain parameter value
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+module.exports = HonDevice;
@@ -0,0 +1,191 @@
+'use strict';
+
+const Homey = require('homey');
+
+/**
+ * Base class for hOn drivers
+ *
+ * Pairing and repair are the same for every appliance type: log in to the
+ * shared hOn account, then list the appliances of the driver's type.
+ * Subclasses define applianceTypes, defaultDeviceName and noDevicesMessage.
+ */
+class HonDriver extends Homey.Driver {
+
+  /**
+   * hOn appliance types (applianceTypeName) this driver pairs; the first is the default
+   * @returns {Array<string>}
+   */
+  get applianceTypes() {
+    return [];
+  }
+
+  /**
+   * Name for appliances without a nickname or model name
+   * @returns {string}
+   */
+  get defaultDeviceName() {
+    return 'Haier hOn';
+  }
+
+  /**
+   * Error shown when the account has no appliances of this type
+   * @returns {string}
+   */
+  get noDevicesMessage() {
+    return this.homey.__('pair.no_devices');
+  }
+
+  /**
+   * onPairListDevices is called when a user is adding a device
+   * and the 'list_devices' view is called.
+   */
+  async onPairListDevices() {
+    const app = this.homey.app;
+    const api = app.getApi();
+
+    if (!api || !api.isAuthenticated()) {
+      throw new Error('Not authenticated. Please login first.');
+    }
+
+    try {
+      // Fetch all appliances from the hOn API
+      const appliances = await api.getAppliances();
+
+      // Filter to the appliance types of this driver
+      const matching = appliances.filter(appliance => this.applianceTypes.includes(appliance.applianceTypeName));
+
+      if (matching.length === 0) {
+        throw new Error(this.noDevicesMessage);
+      }
+
+      // Map to Homey device format
+      return matching.map(appliance => {
+        // Extract just the MAC address (without timestamp after #)
+        // The API returns macAddress with a timestamp suffix
+        const fullMac = appliance.macAddress || appliance.applianceId || '';
+        const macAddress = fullMac.split('#')[0];
+
+        this.log(`${appliance.applianceTypeName}: macAddress=${appliance.macAddress}, applianceId=${appliance.applianceId}, extracted=${macAddress}`);
+
+        return {
+          name: appliance.nickName || appliance.modelName || this.defaultDeviceName,
+          data: {
+            id: macAddress, // Just the MAC address
+            applianceId: appliance.applianceId,
+          },
+          store: {
+            applianceType: appliance.applianceTypeName,
+            modelName: appliance.modelName,
+            serialNumber: appliance.serialNumber,
+            brand: appliance.brand || 'Haier',
+          },
+        };
+      });
+    } catch (error) {
+      this.error('Failed to list devices:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * onPair is called when pairing is started
+   */
+  onPair(session) {
+    // Clean up on disconnect to prevent "Another pair session is already active"
+    session.setHandler('disconnect', async () => {
+      this.log('Pair session disconnected');
+    });
+
+    // Provide Homey's language to the pairing view
+    session.setHandler('get_language', async () => {
+      return this.homey.i18n.getLanguage();
+    });
+
+    // Handle email/password (and verification code) from the login view
+    this._registerLoginHandler(session);
+
+    // Handle list devices request
+    session.setHandler('list_devices', async () => {
+      return this.onPairListDevices();
+    });
+  }
+
+  /**
+   * Register the 'login' handler used by the pair and repair login views.
+   * The first call carries email and password; if hOn asks for a verification
+   * code, the view calls again with the code and the pending login continues.
+   * @param {PairSession} session
+   * @param {Function} [onLoggedIn] - Called after the tokens have been stored
+   * @private
+   */
+  _registerLoginHandler(session, onLoggedIn = async () => {}) {
+    let pendingApi = null;
+
+    session.setHandler('login', async ({ email, password, code }) => {
+      try {
+        let result;
+        if (code && pendingApi) {
+          this.log('Received verification code');
+          result = await pendingApi.submitMfaCode(code);
+        } else {
+          this.log('Received login credentials');
+          pendingApi = this.homey.app.createApi({
+            log: this.log.bind(this),
+            error: this.error.bind(this),
+          });
+          result = await pendingApi.login(email, password);
+        }
+
+        if (result.mfaRequired) {
+          return { mfaRequired: true };
+        }
+        pendingApi = null;
+
+        // Store tokens in app settings (creates the shared HonApi instance)
+        await this.homey.app.setTokens(result.accessToken, result.idToken, result.refreshToken);
+        await onLoggedIn();
+
+        this.log('Login successful');
+        return { mfaRequired: false };
+      } catch (error) {
+        this.error('Login failed:', error.message);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * onRepair is called when repair is started.
+   * Auth is centralized in app.js — repairing one device fixes ALL devices
+   * since they share the same hOn account/API instance.
+   */
+  onRepair(session, device) {
+    session.setHandler('disconnect', async () => {
+      this.log('Repair session disconnected');
+    });
+
+    // Provide Homey's language to the repair view
+    session.setHandler('get_language', async () => {
+      return this.homey.i18n.getLanguage();
+    });
+
+    // Handle email/password (and verification code) for repair
+    this._registerLoginHandler(session, async () => {
+      // Reinitialize ALL devices of every driver (they share the same account)
+      const devices = this.homey.app.getDevices();
+      this.log(`Repair: reinitializing ${devices.length} device(s)...`);
+      for (const dev of devices) {
+        try {
+          await dev.setAvailable();
+          this.log(`Repair: ${dev.getName()} marked available`);
+        } catch (e) {
+          this.error(`Repair: failed to restore ${dev.getName()}:`, e.message);
+        }
+      }
+      this.log('Repair successful — all devices restored');
+    });
+  }
+
+}
+
+module.exports = HonDriver;
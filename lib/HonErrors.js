@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Decoding of the hOn error parameter
+ *
+ * Appliances report their faults in the errors parameter as the code shown on
+ * their display ("E7"), several codes separated by commas, or a zero value
+ * when there is no fault.
+ */
+
+// Values of the errors parameter that mean "no error"
+const NO_ERROR_VALUES = ['', 'NONE', 'NULL'];
+
+// Known display codes per appliance type, mapped to keys under error_descriptions in the locales
+const ERROR_CODES = {
+  AC: {
+    E1: 'room_sensor',
+    E2: 'indoor_coil_sensor',
+    E4: 'indoor_eeprom',
+    E7: 'unit_communication',
+    E9: 'drain',
+    E14: 'indoor_fan',
+    F1: 'outdoor_module',
+    F2: 'outdoor_pfc',
+    F3: 'compressor',
+    F4: 'discharge_temperature',
+    F12: 'outdoor_eeprom',
+    F21: 'defrost_sensor',
+    F22: 'outdoor_sensor',
+  },
+};
+
+/**
+ * Split an errors value into its codes
+ * @param {*} value - Raw errors parameter value
+ * @returns {Array<string>} Upper-case codes, empty when there is no error
+ */
+function parseErrorCodes(value) {
+  if (value === undefined || value === null) return [];
+
+  return String(value)
+    .split(/[\s,;|]+/)
+    .map((code) => code.trim().toUpperCase())
+    .filter((code) => !NO_ERROR_VALUES.includes(code))
+    .filter((code) => !/^0+$/.test(code));
+}
+
+/**
+ * Locale key describing a code
+ * @param {string} code
+ * @param {string} applianceType - hOn appliance type (AC, WM, ...)
+ * @returns {string|null} Key under error_descriptions, null for unknown codes
+ */
+function getErrorKey(code, applianceType) {
+  return ERROR_CODES[applianceType]?.[code] || null;
+}
+
+module.exports = {
+  parseErrorCodes,
+  getErrorKey,
+};
@@ -0,0 +1,277 @@
+'use strict';
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const mqtt = require('mqtt');
+
+// AWS IoT endpoint and custom authorizer used by the hOn app (from pyhOn)
+const AWS_ENDPOINT = 'a30f6tqw0oh1x0-ats.iot.eu-west-1.amazonaws.com';
+const AWS_AUTHORIZER = 'candy-iot-authorizer';
+
+// Reconnect back-off: start at 5s, double per failure, cap at 5 minutes
+const RECONNECT_MIN_DELAY = 5000;
+const RECONNECT_MAX_DELAY = 5 * 60 * 1000;
+const CONNECT_TIMEOUT = 30000;
+const KEEPALIVE_SEC = 30;
+
+/**
+ * hOn push channel (AWS IoT MQTT over WebSocket)
+ * Based on the pyhOn MQTT client by Andre0512
+ *
+ * Events:
+ *   'state'      (macAddress, parameters) - parameters keyed by parName, each {parNewVal, lastUpdate}
+ *   'connection' (macAddress, connected)  - appliance presence (connected/disconnected topics)
+ *   'online'                              - push channel connected and subscribed
+ *   'offline'                             - push channel dropped (will reconnect)
+ */
+class HonMqtt extends EventEmitter {
+
+  /**
+   * Create a new HonMqtt instance
+   * @param {Object} options
+   * @param {Function} options.getCredentials - Async function returning {token, signature, clientId}
+   * @param {string} [options.url] - Broker URL override (e.g. mqtt://localhost:1883 for a local broker)
+   * @param {Function} [options.log] - Logging function
+   * @param {Function} [options.error] - Error logging function
+   */
+  constructor(options) {
+    super();
+    this.url = options.url || null;
+    this.getCredentials = options.getCredentials;
+    this.log = options.log || console.log;
+    this.error = options.error || console.error;
+
+    // topic -> macAddress
+    this._topics = new Map();
+
+    this._client = null;
+    this._connected = false;
+    this._stopped = true;
+    this._reconnectTimer = null;
+    this._reconnectDelay = RECONNECT_MIN_DELAY;
+  }
+
+  /**
+   * Check if the push channel is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this._connected;
+  }
+
+  /**
+   * Register the appliances whose topics should be subscribed
+   * @param {Array} appliances - Appliance info from getAppliances()
+   */
+  setAppliances(appliances) {
+    this._topics.clear();
+    for (const appliance of appliances) {
+      const macAddress = (appliance.macAddress || '').split('#')[0];
+      if (!macAddress) continue;
+
+      // The appliance list carries its own topics; derive the standard ones if absent
+      const topics = appliance.topics?.subscribe || [
+        `haier/things/${macAddress}/event/appliancestatus/update`,
+        `$aws/events/presence/connected/${macAddress}`,
+        `$aws/events/presence/disconnected/${macAddress}`,
+      ];
+      for (const topic of topics) {
+        this._topics.set(topic, macAddress);
+      }
+    }
+
+    if (this._connected) {
+      this._subscribe();
+    }
+  }
+
+  /**
+   * Open the push channel. Reconnects automatically until stop() is called.
+   */
+  async start() {
+    this._stopped = false;
+    await this._connect();
+  }
+
+  /**
+   * Close the push channel and stop reconnecting
+   */
+  stop() {
+    this._stopped = true;
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+    if (this._client) {
+      this._client.removeAllListeners();
+      this._client.on('error', () => {});
+      this._client.end(true);
+      this._client = null;
+    }
+    this._setConnected(false);
+  }
+
+  /**
+   * Build the broker URL. The AWS custom authorizer reads its credentials from the query string.
+   * @param {Object} credentials
+   * @returns {string}
+   * @private
+   */
+  _buildUrl(credentials) {
+    if (this.url) {
+      return this.url;
+    }
+    const query = new URLSearchParams({
+      'x-amz-customauthorizer-name': AWS_AUTHORIZER,
+      'x-amz-customauthorizer-signature': credentials.signature,
+      token: credentials.token,
+    });
+    return `wss://${AWS_ENDPOINT}/mqtt?${query.toString()}`;
+  }
+
+  /**
+   * Connect with fresh credentials. Tokens rotate, so every (re)connect asks for new ones
+   * instead of relying on the MQTT client's own reconnect.
+   * @private
+   */
+  async _connect() {
+    if (this._stopped) return;
+
+    let credentials;
+    try {
+      credentials = this.url ? {} : await this.getCredentials();
+    } catch (error) {
+      this.error('Push channel: failed to get credentials:', error.message);
+      this._scheduleReconnect();
+      return;
+    }
+    if (this._stopped) return;
+
+    const clientId = credentials.clientId || `homey_${crypto.randomBytes(8).toString('hex')}`;
+    this.log(`Push channel: connecting as ${clientId}...`);
+
+    const client = mqtt.connect(this._buildUrl(credentials), {
+      clientId,
+      protocolVersion: 4,
+      keepalive: KEEPALIVE_SEC,
+      connectTimeout: CONNECT_TIMEOUT,
+      reconnectPeriod: 0,
+      clean: true,
+    });
+    this._client = client;
+
+    client.on('connect', () => {
+      this.log('Push channel: connected');
+      this._reconnectDelay = RECONNECT_MIN_DELAY;
+      this._subscribe();
+      this._setConnected(true);
+    });
+
+    client.on('message', (topic, message) => {
+      this._onMessage(topic, message);
+    });
+
+    client.on('error', (error) => {
+      this.error('Push channel error:', error.message);
+    });
+
+    client.on('close', () => {
+      if (this._client !== client) return;
+      this._client = null;
+      client.removeAllListeners();
+      client.on('error', () => {});
+      this._setConnected(false);
+      this._scheduleReconnect();
+    });
+  }
+
+  /**
+   * Subscribe to all registered appliance topics
+   * @private
+   */
+  _subscribe() {
+    if (!this._client || this._topics.size === 0) return;
+
+    const topics = [...this._topics.keys()];
+    this._client.subscribe(topics, { qos: 1 }, (error) => {
+      if (error) {
+        this.error('Push channel: subscribe failed:', error.message);
+        return;
+      }
+      this.log(`Push channel: subscribed to ${topics.length} topic(s)`);
+    });
+  }
+
+  /**
+   * Schedule a reconnect with exponential back-off
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this._stopped || this._reconnectTimer) return;
+
+    const delay = this._reconnectDelay;
+    this._reconnectDelay = Math.min(this._reconnectDelay * 2, RECONNECT_MAX_DELAY);
+    this.log(`Push channel: reconnecting in ${Math.round(delay / 1000)}s`);
+
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._connect().catch((error) => {
+        this.error('Push channel: reconnect failed:', error.message);
+        this._scheduleReconnect();
+      });
+    }, delay);
+  }
+
+  /**
+   * Track channel state and emit online/offline on change
+   * @param {boolean} connected
+   * @private
+   */
+  _setConnected(connected) {
+    if (this._connected === connected) return;
+    this._connected = connected;
+    this.emit(connected ? 'online' : 'offline');
+  }
+
+  /**
+   * Handle an incoming publish
+   * @param {string} topic
+   * @param {Buffer} message
+   * @private
+   */
+  _onMessage(topic, message) {
+    const macAddress = this._topics.get(topic);
+    if (!macAddress) return;
+
+    let payload;
+    try {
+      payload = JSON.parse(message.toString());
+    } catch (error) {
+      this.error(`Push channel: invalid payload on ${topic}`);
+      return;
+    }
+
+    // Check 'disconnected' before 'connected' (the latter is a substring)
+    if (topic.includes('disconnected')) {
+      this.emit('connection', macAddress, false);
+    } else if (topic.includes('connected')) {
+      this.emit('connection', macAddress, true);
+    } else if (topic.includes('appliancestatus')) {
+      // Same shape as context.shadow.parameters: {parName: {parNewVal, lastUpdate}}
+      const parameters = {};
+      for (const parameter of payload.parameters || []) {
+        if (!parameter.parName) continue;
+        parameters[parameter.parName] = {
+          parNewVal: parameter.parNewVal,
+          lastUpdate: parameter.lastUpdate || payload.timestamp || new Date().toISOString(),
+        };
+      }
+      if (Object.keys(parameters).length > 0) {
+        this.emit('state', macAddress, parameters);
+      }
+    }
+  }
+
+}
+
+module.exports = HonMqtt;
@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * Typed hOn command parameters
+ *
+ * Command definitions describe every parameter with a typology:
+ *   range - numeric, minimumValue/maximumValue/incrementValue
+ *   enum  - one of enumValues
+ *   fixed - always fixedValue
+ * hOn sends all values as strings and expects strings back.
+ */
+
+/**
+ * Format a number the way hOn sends it ("24", "24.5")
+ * @param {number} number
+ * @returns {string}
+ */
+function formatNumber(number) {
+  return String(Number(number.toFixed(4)));
+}
+
+/**
+ * Base parameter; also used for typologies we don't know, which pass unchanged
+ */
+class HonParameter {
+
+  /**
+   * @param {string} name - Parameter name (e.g. tempSel)
+   * @param {Object} definition - Definition from the command definitions
+   */
+  constructor(name, definition = {}) {
+    this.name = name;
+    this.typology = definition.typology || 'unknown';
+    this.mandatory = definition.mandatory === 1;
+    this.defaultValue = definition.defaultValue;
+  }
+
+  /**
+   * Value sent when the caller doesn't provide one
+   * @returns {*}
+   */
+  get value() {
+    return this.defaultValue;
+  }
+
+  /**
+   * Validate a value and convert it to the form hOn expects
+   * @param {*} value
+   * @returns {*} Normalized value
+   */
+  normalize(value) {
+    return value;
+  }
+
+  /**
+   * Build a validation error
+   * @param {string} message
+   * @returns {Error}
+   * @protected
+   */
+  _invalid(message) {
+    const error = new Error(`${this.name} ${message}`);
+    error.code = 'INVALID_PARAMETER';
+    error.parameter = this.name;
+    return error;
+  }
+
+}
+
+/**
+ * Numeric parameter with a range and step
+ */
+class RangeParameter extends HonParameter {
+
+  constructor(name, definition = {}) {
+    super(name, definition);
+    this.min = Number(definition.minimumValue);
+    this.max = Number(definition.maximumValue);
+    this.step = Number(definition.incrementValue) || 1;
+  }
+
+  /**
+   * Check the value is within range and snap it to the step
+   * @param {*} value
+   * @returns {string}
+   */
+  normalize(value) {
+    const number = Number(value);
+    if (value === '' || value === null || value === undefined || !Number.isFinite(number)) {
+      throw this._invalid(`${JSON.stringify(value)} is not a number`);
+    }
+    if (!Number.isFinite(this.min) || !Number.isFinite(this.max)) {
+      return formatNumber(number);
+    }
+    if (number < this.min || number > this.max) {
+      throw this._invalid(`${value} out of range ${this.min}–${this.max}`);
+    }
+
+    const snapped = this.min + Math.round((number - this.min) / this.step) * this.step;
+    return formatNumber(Math.min(this.max, snapped));
+  }
+
+}
+
+/**
+ * Parameter with a list of allowed values
+ */
+class EnumParameter extends HonParameter {
+
+  constructor(name, definition = {}) {
+    super(name, definition);
+    this.values = (definition.enumValues || []).map(String);
+  }
+
+  /**
+   * Check the value is allowed; numeric values match regardless of formatting ("1" = 1 = "1.0")
+   * @param {*} value
+   * @returns {string}
+   */
+  normalize(value) {
+    const text = String(value);
+    if (this.values.includes(text)) {
+      return text;
+    }
+
+    const number = Number(value);
+    const match = text !== '' && Number.isFinite(number)
+      ? this.values.find((allowed) => allowed !== '' && Number(allowed) === number)
+      : undefined;
+    if (match === undefined) {
+      throw this._invalid(`${text} is not one of ${this.values.join(', ')}`);
+    }
+    return match;
+  }
+
+}
+
+/**
+ * Parameter with a single value
+ */
+class FixedParameter extends HonParameter {
+
+  constructor(name, definition = {}) {
+    super(name, definition);
+    this.fixedValue = definition.fixedValue;
+  }
+
+  get value() {
+    return this.fixedValue;
+  }
+
+  /**
+   * Only the fixed value itself is accepted
+   * @param {*} value
+   * @returns {*}
+   */
+  normalize(value) {
+    const same = String(value) === String(this.fixedValue)
+      || (value !== '' && Number(value) === Number(this.fixedValue));
+    if (!same) {
+      throw this._invalid(`is fixed at ${this.fixedValue}`);
+    }
+    return this.fixedValue;
+  }
+
+}
+
+/**
+ * Create the parameter class matching a definition's typology
+ * @param {string} name
+ * @param {Object} definition
+ * @returns {HonParameter}
+ */
+function parseParameter(name, definition = {}) {
+  switch (definition.typology) {
+    case 'range':
+      return new RangeParameter(name, definition);
+    case 'enum':
+      return new EnumParameter(name, definition);
+    case 'fixed':
+      return new FixedParameter(name, definition);
+    default:
+      return new HonParameter(name, definition);
+  }
+}
+
+module.exports = {
+  HonParameter,
+  RangeParameter,
+  EnumParameter,
+  FixedParameter,
+  parseParameter,
+};
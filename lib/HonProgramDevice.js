@@ -0,0 +1,216 @@
+'use strict';
+
+const HonDevice = require('./HonDevice');
+
+// hOn machMode values of program appliances (washing machine, dryer, dishwasher; from pyhOn)
+const MACH_MODE_TO_STATE = {
+  0: 'ready',
+  1: 'ready',
+  2: 'running',
+  3: 'paused',
+  4: 'scheduled',
+  5: 'scheduled',
+  6: 'error',
+  7: 'finished',
+  8: 'ready', // test mode
+  9: 'finished',
+  10: 'finished',
+};
+
+// States in which a program is loaded on the appliance
+const ACTIVE_STATES = ['running', 'paused', 'scheduled'];
+
+// States in which a program has started
+const RUNNING_STATES = ['running', 'paused'];
+
+// Delay before checking the result of a command
+const COMMAND_POLL_DELAY = 5000;
+
+// Parameters whose change counts as activity (the countdown is excluded, it changes every minute)
+const ACTIVITY_PARAMETERS = ['machMode', 'prCode', 'prStr', 'doorStatus', 'errors'];
+
+/**
+ * Base class for appliances that run programs: washing machines,
+ * washer-dryers, tumble dryers and dishwashers
+ *
+ * Shows the program state, current program, remaining time and door
+ * status, and starts, pauses, resumes and stops programs.
+ */
+class HonProgramDevice extends HonDevice {
+
+  /**
+   * Set up the device before state updates start
+   */
+  async onHonInit() {
+    this.log(`${this.driver.id} device has been initialized`);
+
+    // Devices paired before progress reporting get the capability here
+    await this._setCapabilityPresent('hon_program_progress', true);
+  }
+
+  /**
+   * Current program state (ready, running, paused, scheduled, finished, error)
+   * @returns {string}
+   */
+  getProgramState() {
+    return this.getCapabilityValue('hon_program_state') || 'ready';
+  }
+
+  /**
+   * Poll slowly while no program is loaded
+   * @returns {boolean}
+   * @protected
+   */
+  _isIdle() {
+    return !ACTIVE_STATES.includes(this.getProgramState());
+  }
+
+  /**
+   * Parameters whose change counts as activity
+   * @returns {Array<string>}
+   * @protected
+   */
+  _getActivityParameters() {
+    return ACTIVITY_PARAMETERS;
+  }
+
+  /**
+   * Update Homey capabilities from hOn state
+   * @param {Object} state - Device state from API
+   * @protected
+   */
+  async _updateCapabilities(state) {
+    // Program state
+    if (state.machMode !== undefined) {
+      const machMode = Number(this._extractValue(state.machMode));
+      const programState = MACH_MODE_TO_STATE[machMode] || 'ready';
+      await this.setCapabilityValue('hon_program_state', programState).catch(this.error);
+    }
+    const programState = this.getProgramState();
+
+    // Current program (prStr is the readable name, prCode the numeric code)
+    const program = this._extractValue(state.prStr) || this._extractValue(state.prCode);
+    if (program !== undefined && program !== null) {
+      await this.setCapabilityValue('hon_program', this._formatProgramName(program)).catch(this.error);
+    }
+
+    // Remaining time in minutes
+    let remaining;
+    if (state.remainingTimeMM !== undefined) {
+      remaining = Number(this._extractValue(state.remainingTimeMM));
+      if (!isNaN(remaining)) {
+        await this.setCapabilityValue('hon_remaining_time', remaining).catch(this.error);
+      }
+    }
+
+    // Progress, counted while running or paused (a scheduled start's countdown isn't progress)
+    await this._updateProgramProgress(RUNNING_STATES.includes(programState), remaining);
+    if (programState === 'finished' || programState === 'ready') {
+      const progress = programState === 'finished' ? 100 : 0;
+      await this.setCapabilityValue('hon_program_progress', progress).catch(this.error);
+    }
+
+    // Door (1 = open)
+    if (state.doorStatus !== undefined && this.hasCapability('alarm_contact')) {
+      const open = Number(this._extractValue(state.doorStatus)) === 1;
+      await this.setCapabilityValue('alarm_contact', open).catch(this.error);
+    }
+  }
+
+  /**
+   * hOn refuses remote commands while remote control is off on the appliance
+   * @private
+   */
+  _assertRemoteControl() {
+    const remote = this._lastState?.remoteCtrValid;
+    if (remote !== undefined && Number(this._extractValue(remote)) === 0) {
+      throw new Error(this.homey.__('errors.remote_control_disabled'));
+    }
+  }
+
+  /**
+   * Start a program. Without a name, the program selected on the appliance is
+   * used, or else the first program the appliance offers.
+   * @param {string} [programName]
+   */
+  async startProgram(programName) {
+    this._assertRemoteControl();
+
+    const programs = this._commands?.programs || {};
+    const selected = this._extractValue(this._lastState?.prStr);
+    const name = [programName, selected, Object.keys(programs)[0]]
+      .filter(Boolean)
+      .map((candidate) => String(candidate).toUpperCase())
+      .find((candidate) => programs[candidate]);
+    if (!name) {
+      throw new Error(this.homey.__('errors.command_not_supported'));
+    }
+
+    const program = programs[name];
+    this.log(`Starting program ${name}`);
+    await this._sendCommand('startProgram', program.getMandatoryValues(), {
+      programName: name,
+      command: program,
+      ancillaryParameters: program.getAncillaryValues(),
+    });
+    this._markActive();
+    this.homey.app.requestPoll(this, COMMAND_POLL_DELAY);
+  }
+
+  /**
+   * Start a specific program from the appliance's command definitions
+   * @param {string} programName - Program id from getPrograms()
+   */
+  async runProgram(programName) {
+    if (!this._commands?.programs?.[String(programName).toUpperCase()]) {
+      throw new Error(this.homey.__('errors.command_not_supported'));
+    }
+    await this.startProgram(programName);
+  }
+
+  /**
+   * Pause the running program
+   */
+  async pauseProgram() {
+    await this._runCommand('pauseProgram');
+  }
+
+  /**
+   * Resume a paused program
+   */
+  async resumeProgram() {
+    await this._runCommand('resumeProgram');
+  }
+
+  /**
+   * Stop the running program
+   */
+  async stopProgram() {
+    await this._runCommand('stopProgram');
+  }
+
+  /**
+   * Send one of the appliance's simple commands with its default parameters
+   * @param {string} commandName
+   * @private
+   */
+  async _runCommand(commandName) {
+    this._assertRemoteControl();
+
+    const command = this._commands?.commands?.[commandName];
+    if (!command) {
+      throw new Error(this.homey.__('errors.command_not_supported'));
+    }
+
+    this.log(`Sending ${commandName}`);
+    await this._sendCommand(commandName, command.getMandatoryValues(), {
+      command,
+      ancillaryParameters: command.getAncillaryValues(),
+    });
+    this._markActive();
+    this.homey.app.requestPoll(this, COMMAND_POLL_DELAY);
+  }
+
+}
+
+module.exports = HonProgramDevice;
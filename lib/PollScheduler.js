@@ -0,0 +1,212 @@
+'use strict';
+
+// Devices that become due within this window are pulled into the same cycle
+const ALIGN_WINDOW = 2000;
+
+// Minimum gap between two cycles
+const MIN_CYCLE_GAP = 1000;
+
+// Delay before the first cycle, so devices initializing together share it
+const STARTUP_DELAY = 1000;
+
+/**
+ * Shared poller for all appliances on the account
+ *
+ * Runs one timer for the whole app. Each cycle fetches the state of every
+ * device that is due, with a limited number of requests in flight and a
+ * small stagger between them, and hands the results to the devices.
+ *
+ * Subscribed devices implement:
+ *   deviceId            - MAC address
+ *   applianceType       - hOn appliance type (AC, WM, TD, DW)
+ *   getPollInterval()   - milliseconds until the next regular poll
+ *   onPollState(state)  - state from getApplianceState()
+ *   onPollError(error)  - poll failed
+ */
+class PollScheduler {
+
+  /**
+   * Create a new PollScheduler instance
+   * @param {Object} options
+   * @param {Function} options.getApi - Async function returning the HonApi instance (or null)
+   * @param {number} [options.concurrency=2] - Maximum requests in flight
+   * @param {number} [options.stagger=250] - Milliseconds between request starts
+   * @param {Function} [options.log] - Logging function
+   * @param {Function} [options.error] - Error logging function
+   */
+  constructor(options) {
+    this.getApi = options.getApi;
+    this.concurrency = options.concurrency || 2;
+    this.stagger = options.stagger ?? 250;
+    this.log = options.log || console.log;
+    this.error = options.error || console.error;
+
+    // device -> next poll timestamp
+    this._nextPollAt = new Map();
+
+    this._timer = null;
+    this._cycleRunning = false;
+    this._stopped = false;
+  }
+
+  /**
+   * Add a device; its first poll runs in the next cycle
+   * @param {Object} device
+   */
+  subscribe(device) {
+    this._nextPollAt.set(device, Date.now() + STARTUP_DELAY);
+    this._reschedule();
+  }
+
+  /**
+   * Remove a device
+   * @param {Object} device
+   */
+  unsubscribe(device) {
+    this._nextPollAt.delete(device);
+  }
+
+  /**
+   * Poll a device after the given delay, replacing its regular schedule
+   * @param {Object} device
+   * @param {number} [delay=0] - milliseconds
+   */
+  requestPoll(device, delay = 0) {
+    if (!this._nextPollAt.has(device)) return;
+    this._nextPollAt.set(device, Date.now() + delay);
+    this._reschedule();
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    this._stopped = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Arm the timer for the earliest due device
+   * @private
+   */
+  _reschedule() {
+    if (this._stopped || this._cycleRunning) return;
+
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._nextPollAt.size === 0) return;
+
+    const next = Math.min(...this._nextPollAt.values());
+    const delay = Math.max(0, next - Date.now());
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._cycle().catch((error) => this.error('Poll cycle failed:', error.message));
+    }, delay);
+  }
+
+  /**
+   * Run one cycle over all due devices
+   * @private
+   */
+  async _cycle() {
+    this._cycleRunning = true;
+    const cycleStart = Date.now();
+
+    try {
+      const due = [...this._nextPollAt]
+        .filter(([, nextPollAt]) => nextPollAt <= cycleStart + ALIGN_WINDOW)
+        .map(([device]) => device);
+
+      // Schedule from the cycle start so devices with equal intervals stay aligned
+      for (const device of due) {
+        this._nextPollAt.set(device, cycleStart + device.getPollInterval());
+      }
+
+      if (due.length > 0) {
+        await this._pollDevices(due);
+      }
+    } finally {
+      this._cycleRunning = false;
+    }
+
+    // Never spin: keep a minimum gap between cycles
+    for (const [device, nextPollAt] of this._nextPollAt) {
+      if (nextPollAt < Date.now() + MIN_CYCLE_GAP) {
+        this._nextPollAt.set(device, Date.now() + MIN_CYCLE_GAP);
+      }
+    }
+    this._reschedule();
+  }
+
+  /**
+   * Fetch and distribute the state of the given devices
+   * @param {Array<Object>} devices
+   * @private
+   */
+  async _pollDevices(devices) {
+    let api;
+    try {
+      api = await this.getApi();
+      if (!api) {
+        const error = new Error('Not authenticated. Use Repair to reconnect.');
+        error.code = 'NOT_AUTHENTICATED';
+        throw error;
+      }
+
+      // Cloud is down: HonApi probes it and the app resumes the devices
+      if (api.isCircuitOpen()) {
+        this.log('Skipping poll cycle (hOn cloud unavailable)');
+        return;
+      }
+
+      // Refresh tokens once for the whole cycle instead of racing per device
+      await api.ensureAuthenticated();
+    } catch (error) {
+      await Promise.all(devices.map((device) => this._deliver(device, 'onPollError', error)));
+      return;
+    }
+
+    const queue = [...devices];
+    let lastStart = 0;
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const device = queue.shift();
+
+        // Stagger request starts across all workers
+        const wait = lastStart + this.stagger - Date.now();
+        lastStart = Math.max(Date.now(), lastStart + this.stagger);
+        if (wait > 0) {
+          await new Promise((resolve) => setTimeout(resolve, wait));
+        }
+        if (this._stopped || !this._nextPollAt.has(device)) continue;
+
+        try {
+          const state = await api.getApplianceState(device.deviceId, device.applianceType);
+          await this._deliver(device, 'onPollState', state);
+        } catch (error) {
+          await this._deliver(device, 'onPollError', error);
+        }
+      }
+    };
+
+    const workers = Math.min(this.concurrency, devices.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+  }
+
+  /**
+   * Call a device handler without letting it break the cycle
+   * @private
+   */
+  async _deliver(device, handler, value) {
+    try {
+      await device[handler](value);
+    } catch (error) {
+      this.error(`Device ${device.deviceId} ${handler} failed:`, error.message);
+    }
+  }
+
+}
+
+module.exports = PollScheduler;
@@ -0,0 +1,200 @@
+'use strict';
+
+// Days as used in schedule blocks, in week order
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+// Block start times, 00:00-23:59
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Weekly schedule of an air conditioner
+ *
+ * A schedule is a list of blocks. A block starts at a time on one or more
+ * days and sets the AC (power, mode, setpoint, fan, toggles) until the next
+ * block starts. The week wraps around, so Sunday's last block runs into
+ * Monday. Times are local to the Homey's timezone.
+ *
+ * Block: {days: ['mon', ...], time: 'HH:MM', onoff?, thermostat_mode?,
+ * target_temperature? (°C, like the capability), fan_mode?,
+ * toggles?: {capability: boolean}}
+ */
+class WeeklySchedule {
+
+  /**
+   * Create a new WeeklySchedule instance
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.blocks] - Blocks as returned by normalize()
+   * @param {string} [options.timezone] - Timezone the block times are in
+   */
+  constructor(options = {}) {
+    this.timezone = options.timezone || 'UTC';
+
+    // One start per block and day, in week order
+    this._starts = (options.blocks || [])
+      .flatMap((block) => block.days.map((day) => ({
+        block,
+        minute: DAYS.indexOf(day) * MINUTES_PER_DAY + toMinutes(block.time),
+      })))
+      .sort((a, b) => a.minute - b.minute);
+  }
+
+  /**
+   * Validate a schedule and bring it into its stored form
+   * @param {Object} schedule - {enabled, blocks}
+   * @returns {{enabled: boolean, blocks: Array<Object>}}
+   * @throws {Error} code INVALID_SCHEDULE
+   */
+  static normalize(schedule) {
+    if (!schedule || typeof schedule !== 'object' || !Array.isArray(schedule.blocks)) {
+      throw invalid('a schedule needs a list of blocks');
+    }
+
+    const blocks = schedule.blocks.map((block, index) => {
+      const label = `block ${index + 1}`;
+      if (!block || typeof block !== 'object') throw invalid(`${label} is not an object`);
+
+      const days = DAYS.filter((day) => Array.isArray(block.days) && block.days.includes(day));
+      if (days.length === 0) throw invalid(`${label} has no days`);
+      if (!TIME_PATTERN.test(block.time)) throw invalid(`${label} has no valid start time (HH:MM)`);
+
+      const normalized = { days, time: block.time };
+      if (block.onoff !== undefined) {
+        if (typeof block.onoff !== 'boolean') throw invalid(`${label}: power must be on or off`);
+        normalized.onoff = block.onoff;
+      }
+      if (block.thermostat_mode !== undefined) {
+        normalized.thermostat_mode = String(block.thermostat_mode);
+      }
+      if (block.target_temperature !== undefined) {
+        const temperature = Number(block.target_temperature);
+        if (!Number.isFinite(temperature)) throw invalid(`${label}: setpoint must be a number`);
+        normalized.target_temperature = temperature;
+      }
+      if (block.fan_mode !== undefined) {
+        normalized.fan_mode = String(block.fan_mode);
+      }
+      if (block.toggles !== undefined) {
+        const toggles = Object.entries(block.toggles || {});
+        if (toggles.some(([, value]) => typeof value !== 'boolean')) throw invalid(`${label}: toggles must be on or off`);
+        normalized.toggles = Object.fromEntries(toggles);
+      }
+      return normalized;
+    });
+
+    // Two blocks starting at the same moment would fight over the AC
+    const starts = blocks.flatMap((block) => block.days.map((day) => `${day} ${block.time}`));
+    const duplicate = starts.find((start, index) => starts.indexOf(start) !== index);
+    if (duplicate) throw invalid(`more than one block starts on ${duplicate}`);
+
+    return { enabled: Boolean(schedule.enabled), blocks };
+  }
+
+  /**
+   * Block running at a time
+   * @param {number} [timestamp]
+   * @returns {{block: Object, key: string}|null} key identifies this occurrence
+   *   of the block (start date and time), null when the schedule is empty
+   */
+  current(timestamp = Date.now()) {
+    if (this._starts.length === 0) return null;
+
+    const now = this._localTime(timestamp);
+    const before = this._starts.filter((start) => start.minute <= now.minute);
+    const start = before.length > 0 ? before[before.length - 1] : this._starts[this._starts.length - 1];
+
+    // Days back to the start; the last block of last week if none started this week
+    const nowDay = Math.floor(now.minute / MINUTES_PER_DAY);
+    const startDay = Math.floor(start.minute / MINUTES_PER_DAY);
+    const daysBack = before.length > 0 ? nowDay - startDay : nowDay - startDay + 7;
+    return { block: start.block, key: `${addDays(now.date, -daysBack)} ${start.block.time}` };
+  }
+
+  /**
+   * Block that starts next
+   * @param {number} [timestamp]
+   * @returns {{block: Object, at: number}|null} at is when it starts (ms)
+   */
+  next(timestamp = Date.now()) {
+    if (this._starts.length === 0) return null;
+
+    const now = this._localTime(timestamp);
+    const start = this._starts.find((candidate) => candidate.minute > now.minute) || this._starts[0];
+    const minutes = (start.minute - now.minute + MINUTES_PER_WEEK) % MINUTES_PER_WEEK || MINUTES_PER_WEEK;
+    const minuteStart = timestamp - (timestamp % 60000);
+    let at = minuteStart + minutes * 60000;
+
+    // Correct for a daylight saving change in between (unless the start time
+    // falls in the skipped hour and doesn't exist that day)
+    const drift = (this._localTime(at).minute - start.minute + MINUTES_PER_WEEK * 1.5) % MINUTES_PER_WEEK - MINUTES_PER_WEEK / 2;
+    const corrected = at - drift * 60000;
+    if (this._localTime(corrected).minute === start.minute) {
+      at = corrected;
+    }
+    return { block: start.block, at };
+  }
+
+  /**
+   * Local date and minute of the week (Monday 00:00 = 0) of a timestamp
+   * @param {number} timestamp
+   * @returns {{date: string, minute: number}}
+   * @private
+   */
+  _localTime(timestamp) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(new Date(timestamp)).map((part) => [part.type, part.value]));
+
+    const day = DAYS.indexOf(parts.weekday.toLowerCase().slice(0, 3));
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minute: day * MINUTES_PER_DAY + Number(parts.hour) * 60 + Number(parts.minute),
+    };
+  }
+
+}
+
+WeeklySchedule.DAYS = DAYS;
+
+/**
+ * Minutes since midnight of a HH:MM time
+ * @param {string} time
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} reason
+ * @returns {Error}
+ */
+function invalid(reason) {
+  const error = new Error(`Invalid schedule: ${reason}`);
+  error.code = 'INVALID_SCHEDULE';
+  return error;
+}
+
+module.exports = WeeklySchedule;
@@ -0,0 +1,150 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHomey } = require('./helpers/homey');
+const AirconDevice = require('../drivers/aircon/device');
+
+/**
+ * Polled AC state, cooling to the given setpoint
+ * @param {number} tempSel
+ * @returns {Object}
+ */
+function polledState(tempSel) {
+  return {
+    onOffStatus: '1',
+    machMode: '1',
+    tempSel: String(tempSel),
+    windSpeed: '5',
+    lastConnEvent: { category: 'CONNECTED', instantTime: new Date().toISOString() },
+  };
+}
+
+/**
+ * Initialized AC with mocked timers, that has polled a state cooling to 22 °C.
+ * Commands sent to the API are recorded in device.sent.
+ * @param {TestContext} t
+ * @param {Object} [settings]
+ * @returns {Promise<AirconDevice>}
+ */
+async function createDevice(t, settings = {}) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-10-19T08:00:00Z') });
+
+  const sent = [];
+  const api = {
+    isCircuitOpen: () => false,
+    sendCommand: async (macAddress, commandName, params) => { sent.push({ commandName, params }); },
+  };
+  const app = {
+    getApi: () => api,
+    isPushConnected: () => false,
+    requestPoll: () => {},
+    registerDevice: () => {},
+    unregisterDevice: () => {},
+  };
+  const device = new AirconDevice({
+    homey: createHomey({ app }),
+    data: { id: 'ac-00-00-00-00-01#2024-01-01T00:00:00Z' },
+    settings: { poll_mode: 'adaptive', ...settings },
+    store: { applianceType: 'AC', energySupported: false },
+    capabilities: { onoff: true, target_temperature: 22, thermostat_mode: 'cool', fan_mode: 'auto' },
+  });
+  device._fetchCommandDefinitions = async () => {};
+  await device.onInit();
+  await device.onPollState(polledState(22));
+  device.sent = sent;
+  t.after(() => device.onUninit());
+  return device;
+}
+
+/**
+ * Advance the mocked clock in small steps, letting promises settle in between
+ * @param {TestContext} t
+ * @param {number} ms
+ */
+async function advance(t, ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += 100) {
+    t.mock.timers.tick(100);
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+/**
+ * Change a capability as the Homey UI would and wait for the command to be sent
+ * @param {TestContext} t
+ * @param {AirconDevice} device
+ * @param {string} capability
+ * @param {*} value
+ */
+async function change(t, device, capability, value) {
+  const done = device.triggerCapabilityListener(capability, value);
+  await advance(t, 300);
+  await done;
+}
+
+test('a state with the requested values confirms the command', async (t) => {
+  const device = await createDevice(t);
+  await change(t, device, 'target_temperature', 24);
+  assert.strictEqual(device.sent.length, 1);
+  assert.ok(device._confirmation);
+
+  await device.onPollState(polledState(24));
+  assert.strictEqual(device._confirmation, null);
+
+  await advance(t, 60000);
+  assert.strictEqual(device.sent.length, 1);
+  assert.deepStrictEqual(device.homey.triggers.filter(({ id }) => id === 'command_failed'), []);
+});
+
+test('values not confirmed yet are held back from the capabilities', async (t) => {
+  const device = await createDevice(t);
+  await change(t, device, 'target_temperature', 24);
+
+  await device.onPollState(polledState(22));
+  assert.strictEqual(device.getCapabilityValue('target_temperature'), 24);
+  assert.ok(device._confirmation.expected.tempSel);
+});
+
+test('an unconfirmed command is resent as often as configured, then reported', async (t) => {
+  const device = await createDevice(t);
+  await change(t, device, 'target_temperature', 24);
+
+  // Default: two retries, 30 s after each send (resends are debounced too)
+  await advance(t, 30300);
+  assert.strictEqual(device.sent.length, 2);
+  assert.strictEqual(device._confirmation.attempt, 1);
+  await advance(t, 30300);
+  assert.strictEqual(device.sent.length, 3);
+  assert.strictEqual(device._confirmation.attempt, 2);
+  assert.deepStrictEqual(device.homey.triggers.filter(({ id }) => id === 'command_failed'), []);
+
+  await advance(t, 30300);
+  assert.strictEqual(device.sent.length, 3);
+  assert.strictEqual(device._confirmation, null);
+  assert.deepStrictEqual(device.homey.triggers.filter(({ id }) => id === 'command_failed'), [
+    { id: 'command_failed', tokens: { capability: 'target_temperature', value: '24' }, state: undefined },
+  ]);
+
+  // The capability shows the actual state again
+  assert.strictEqual(device.getCapabilityValue('target_temperature'), 22);
+});
+
+test('without retries the first timeout reports the command', async (t) => {
+  const device = await createDevice(t, { command_retries: 0 });
+  await change(t, device, 'target_temperature', 24);
+
+  await advance(t, 30000);
+  assert.strictEqual(device.sent.length, 1);
+  assert.strictEqual(device.homey.triggers.filter(({ id }) => id === 'command_failed').length, 1);
+});
+
+test('a newer command keeps the retry count and the expectations of the previous one', async (t) => {
+  const device = await createDevice(t);
+  await change(t, device, 'target_temperature', 24);
+  await advance(t, 30300);
+  assert.strictEqual(device._confirmation.attempt, 1);
+
+  await change(t, device, 'fan_mode', 'high');
+  assert.strictEqual(device._confirmation.attempt, 1);
+  assert.deepStrictEqual(Object.keys(device._confirmation.expected).sort(), ['tempSel', 'windSpeed']);
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CommandQueue = require('../lib/CommandQueue');
+
+/**
+ * Queue with mocked timers recording every batch it sends
+ * @param {TestContext} t
+ * @param {Function} [send] - Replaces the default send that resolves right away
+ * @returns {{queue: CommandQueue, sent: Array<Object>}}
+ */
+function createQueue(t, send) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  const sent = [];
+  const queue = new CommandQueue({
+    send: send || (async (changes) => { sent.push(changes); }),
+    log: () => {},
+  });
+  return { queue, sent };
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+test('changes within the debounce window go out as one merged command', async (t) => {
+  const { queue, sent } = createQueue(t);
+
+  const first = queue.enqueue({ target_temperature: 21, params: { windSpeed: '1' } });
+  t.mock.timers.tick(200);
+  const second = queue.enqueue({ thermostat_mode: 'cool', params: { ecoMode: '1' } });
+  t.mock.timers.tick(200);
+  const third = queue.enqueue({ target_temperature: 22 });
+  t.mock.timers.tick(299);
+  assert.strictEqual(sent.length, 0);
+
+  t.mock.timers.tick(1);
+  await Promise.all([first, second, third]);
+  assert.deepStrictEqual(sent, [{
+    target_temperature: 22,
+    thermostat_mode: 'cool',
+    params: { windSpeed: '1', ecoMode: '1' },
+  }]);
+});
+
+test('a steady stream of changes is sent once the maximum wait has passed', async (t) => {
+  const { queue, sent } = createQueue(t);
+
+  for (let i = 0; i < 6; i++) {
+    queue.enqueue({ target_temperature: 20 + i });
+    t.mock.timers.tick(250);
+  }
+  // 1500 ms after the first change
+  await settle();
+  assert.deepStrictEqual(sent, [{ target_temperature: 25 }]);
+});
+
+test('only one command is in flight; changes made meanwhile follow it merged', async (t) => {
+  const calls = [];
+  let active = 0;
+  let maxActive = 0;
+  const { queue } = createQueue(t, (changes) => new Promise((resolve) => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    calls.push({ changes, done: () => { active--; resolve(); } });
+  }));
+
+  const first = queue.enqueue({ onoff: true });
+  t.mock.timers.tick(300);
+  assert.strictEqual(calls.length, 1);
+
+  const second = queue.enqueue({ target_temperature: 21 });
+  const third = queue.enqueue({ fan_mode: 'low' });
+  t.mock.timers.tick(2000);
+  assert.strictEqual(calls.length, 1);
+  assert.deepStrictEqual(queue.pending, { target_temperature: 21, fan_mode: 'low' });
+
+  calls[0].done();
+  await first;
+  t.mock.timers.tick(300);
+  assert.strictEqual(calls.length, 2);
+  assert.deepStrictEqual(calls[1].changes, { target_temperature: 21, fan_mode: 'low' });
+
+  calls[1].done();
+  await Promise.all([second, third]);
+  assert.strictEqual(maxActive, 1);
+  assert.strictEqual(queue.isBusy(), false);
+});
+
+test('a failed command rejects every change it carried', async (t) => {
+  const { queue } = createQueue(t, async () => { throw new Error('offline'); });
+
+  const first = queue.enqueue({ onoff: true });
+  const second = queue.enqueue({ target_temperature: 21 });
+  t.mock.timers.tick(300);
+  await assert.rejects(first, /offline/);
+  await assert.rejects(second, /offline/);
+});
+
+test('destroy rejects queued changes without sending them', async (t) => {
+  const { queue, sent } = createQueue(t);
+
+  const pending = queue.enqueue({ onoff: true });
+  queue.destroy();
+  t.mock.timers.tick(2000);
+  await assert.rejects(pending, /being removed/);
+  await assert.rejects(queue.enqueue({ onoff: false }), /being removed/);
+  assert.strictEqual(sent.length, 0);
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EnergyMeter = require('../lib/EnergyMeter');
+
+const TIMEZONE = 'Europe/Amsterdam';
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+test('a counter that restarts at zero keeps the meter from dropping', () => {
+  const meter = new EnergyMeter({ timezone: TIMEZONE });
+  const start = Date.parse('2026-10-19T08:00:00Z');
+
+  assert.deepStrictEqual(meter.update(100, start), { meter: 0, power: null, today: 0, month: 0 });
+  assert.deepStrictEqual(meter.update(101, start + HOUR), { meter: 1, power: 1000, today: 1, month: 1 });
+
+  // Reset: no consumption and no power for the drop itself
+  assert.deepStrictEqual(meter.update(0, start + 2 * HOUR), { meter: 1, power: null, today: 1, month: 1 });
+  assert.deepStrictEqual(meter.update(0.5, start + 3 * HOUR), { meter: 1.5, power: 500, today: 1.5, month: 1.5 });
+});
+
+test('readings within the power window wait for the window to pass', () => {
+  const meter = new EnergyMeter({ timezone: TIMEZONE });
+  const start = Date.parse('2026-10-19T08:00:00Z');
+
+  meter.update(100, start);
+  assert.deepStrictEqual(meter.update(100.01, start + 30 * 1000), { meter: 0, power: null, today: 0, month: 0 });
+  assert.strictEqual(meter.state.counter, 100);
+
+  // Measured from the first reading, not the one inside the window
+  assert.deepStrictEqual(meter.update(100.02, start + 90 * 1000), { meter: 0.02, power: 800, today: 0.02, month: 0.02 });
+});
+
+test('consumption read after midnight in the Homey timezone starts a new day', () => {
+  const meter = new EnergyMeter({ timezone: TIMEZONE });
+
+  // 22:30 and 23:30 CEST
+  meter.update(9, Date.parse('2026-10-19T20:30:00Z'));
+  assert.strictEqual(meter.update(10, Date.parse('2026-10-19T21:30:00Z')).today, 1);
+
+  // 00:30 CEST, still 22:30 UTC on the 19th
+  const result = meter.update(11, Date.parse('2026-10-19T22:30:00Z'));
+  assert.strictEqual(result.today, 1);
+  assert.strictEqual(result.month, 2);
+  assert.strictEqual(meter.state.day.key, '2026-10-20');
+});
+
+test('a new month starts at local midnight and the totals survive a restart', () => {
+  const first = new EnergyMeter({ timezone: TIMEZONE });
+  first.update(5, Date.parse('2026-10-31T21:00:00Z'));
+  first.update(6, Date.parse('2026-10-31T22:00:00Z'));
+
+  // 00:30 CET on 1 November, with the state saved by the previous run
+  const restored = new EnergyMeter({ timezone: TIMEZONE, state: first.state });
+  const result = restored.update(8, Date.parse('2026-10-31T23:30:00Z'));
+  assert.deepStrictEqual(result, { meter: 3, power: 1333, today: 2, month: 2 });
+  assert.strictEqual(restored.state.month.key, '2026-11');
+});
@@ -0,0 +1,247 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HonApi = require('../lib/HonApi');
+
+/**
+ * Fetch response as the transport returns it
+ * @param {number} status
+ * @param {Object} [headers]
+ * @param {*} [body]
+ * @returns {Object}
+ */
+function reply(status, headers = {}, body = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Map(Object.entries(headers)),
+    text: async () => JSON.stringify(body),
+  };
+}
+
+/**
+ * Network error as node-fetch reports it
+ * @param {string} code
+ * @returns {Error}
+ */
+function networkError(code) {
+  const error = new Error(`request failed, reason: ${code}`);
+  error.name = 'FetchError';
+  error.code = code;
+  return error;
+}
+
+/**
+ * Authenticated API with mocked timers whose transport answers from a list
+ * (the last answer repeats). An Error in the list is thrown, a function is
+ * called with the fetch options.
+ * @param {TestContext} t
+ * @param {Array<Object|Error>} answers
+ * @returns {{api: HonApi, requests: Array<Object>, circuit: Array<boolean>}}
+ */
+function createApi(t, answers) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-10-19T08:00:00Z') });
+  t.mock.method(Math, 'random', () => 0);
+
+  const requests = [];
+  const circuit = [];
+  const api = new HonApi({
+    apiUrl: 'http://localhost:8080',
+    fetch: async (url, init) => {
+      const answer = answers[Math.min(requests.length, answers.length - 1)];
+      requests.push({ url, method: init.method });
+      if (answer instanceof Error) throw answer;
+      return typeof answer === 'function' ? answer(init) : answer;
+    },
+    onCircuitChange: (open) => circuit.push(open),
+    log: () => {},
+    error: () => {},
+  });
+  api._authenticated = true;
+  api.cognitoToken = 'cognito';
+  api.idToken = 'id';
+  t.after(() => api.destroy());
+  return { api, requests, circuit };
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Advance the mocked clock a second at a time until the promise settles
+ * @param {TestContext} t
+ * @param {Promise} promise
+ * @returns {Promise}
+ */
+async function drain(t, promise) {
+  let done = false;
+  promise.then(() => { done = true; }, () => { done = true; });
+  await settle();
+  while (!done) {
+    t.mock.timers.tick(1000);
+    await settle();
+  }
+  return promise;
+}
+
+test('retry delay follows Retry-After in seconds or as a date', (t) => {
+  const { api } = createApi(t, [reply(200)]);
+
+  assert.strictEqual(api._getRetryDelay(0, reply(429, { 'retry-after': '12' })), 12000);
+  assert.strictEqual(api._getRetryDelay(0, reply(503, { 'retry-after': 'Mon, 19 Oct 2026 08:00:20 GMT' })), 20000);
+});
+
+test('retry delay backs off exponentially with jitter up to the maximum', (t) => {
+  const { api } = createApi(t, [reply(200)]);
+
+  // Math.random() = 0: half of the back-off
+  assert.strictEqual(api._getRetryDelay(0, null), 500);
+  assert.strictEqual(api._getRetryDelay(2, reply(500)), 2000);
+  assert.strictEqual(api._getRetryDelay(10, null), 15000);
+
+  t.mock.method(Math, 'random', () => 0.999);
+  assert.ok(api._getRetryDelay(10, null) <= 30000);
+});
+
+test('GET requests are retried on 5xx and network errors until they succeed', async (t) => {
+  const { api, requests } = createApi(t, [reply(503), networkError('ECONNRESET'), reply(200, {}, { ok: 1 })]);
+
+  const response = await drain(t, api._fetchWithRetry('http://localhost:8080/x', { method: 'GET' }, '/x'));
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { ok: 1 });
+  assert.strictEqual(requests.length, 3);
+});
+
+test('after the last retry the last response is returned', async (t) => {
+  const { api, requests } = createApi(t, [reply(500)]);
+
+  const response = await drain(t, api._fetchWithRetry('http://localhost:8080/x', { method: 'GET' }, '/x'));
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual(requests.length, 4);
+});
+
+test('a Retry-After beyond the maximum delay is not waited for', async (t) => {
+  const { api, requests } = createApi(t, [reply(429, { 'retry-after': '120' })]);
+
+  const response = await drain(t, api._fetchWithRetry('http://localhost:8080/x', { method: 'GET' }, '/x'));
+  assert.strictEqual(response.status, 429);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('a POST that may have reached the server is sent once', async (t) => {
+  for (const answer of [reply(502), networkError('ECONNRESET')]) {
+    const { api, requests } = createApi(t, [answer, reply(200)]);
+    const result = drain(t, api._fetchWithRetry('http://localhost:8080/send', { method: 'POST' }, '/send'));
+    if (answer instanceof Error) {
+      await assert.rejects(result, { code: 'ECONNRESET' });
+    } else {
+      assert.strictEqual((await result).status, 502);
+    }
+    assert.strictEqual(requests.length, 1);
+    t.mock.timers.reset();
+  }
+});
+
+test('a POST that never reached the server is retried', async (t) => {
+  const refused = new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+  const { api, requests } = createApi(t, [networkError('ENOTFOUND'), refused, reply(200)]);
+
+  const response = await drain(t, api._fetchWithRetry('http://localhost:8080/send', { method: 'POST' }, '/send'));
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(requests.length, 3);
+});
+
+test('a request that hangs times out, also while reading the body', async (t) => {
+  // Headers arrive, the body never does until the request is aborted
+  const stalled = (init) => ({
+    ok: true,
+    status: 200,
+    headers: new Map(),
+    text: () => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }),
+  });
+  const { api } = createApi(t, [stalled]);
+
+  const result = api._fetchWithTimeout('http://localhost:8080/x', { method: 'GET' });
+  await settle();
+  t.mock.timers.tick(15000);
+  await assert.rejects(result, { code: 'ETIMEDOUT' });
+});
+
+test('transient errors are network failures, timeouts, 429 and 5xx', async (t) => {
+  const { api } = createApi(t, [new TypeError('fetch failed')]);
+  const status = (code) => Object.assign(new Error(`HTTP ${code}`), { status: code });
+  const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+
+  // The global fetch reports network failures as a TypeError
+  const fetchFailed = await api._fetchWithTimeout('http://localhost:8080/x', { method: 'GET' }).catch((error) => error);
+  assert.strictEqual(fetchFailed.message, 'fetch failed');
+
+  for (const error of [networkError('ECONNRESET'), { code: 'ETIMEDOUT' }, abort, fetchFailed, status(429), status(503)]) {
+    assert.strictEqual(api._isTransientError(error), true, error.message || error.code);
+  }
+  for (const error of [status(400), status(401), new TypeError('x is undefined'), new Error('No Cognito token')]) {
+    assert.strictEqual(api._isTransientError(error), false, error.message);
+  }
+});
+
+test('the circuit opens after repeated failures and rejects requests without traffic', async (t) => {
+  const { api, requests, circuit } = createApi(t, [reply(503)]);
+
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(drain(t, api._apiRequest('/commands/v1/appliance')), { status: 503 });
+  }
+  assert.strictEqual(api.isCircuitOpen(), true);
+  assert.deepStrictEqual(circuit, [true]);
+
+  const sent = requests.length;
+  await assert.rejects(api._apiRequest('/commands/v1/appliance'), { code: 'CLOUD_UNAVAILABLE' });
+  assert.strictEqual(requests.length, sent);
+});
+
+test('a failed probe doubles the cooldown and a successful one closes the circuit', async (t) => {
+  const { api, requests, circuit } = createApi(t, [networkError('ECONNRESET')]);
+  for (let i = 0; i < 5; i++) {
+    api._recordFailure();
+  }
+  assert.deepStrictEqual(circuit, [true]);
+
+  // First probe after 60 s gets a single attempt and fails
+  t.mock.timers.tick(60000);
+  await settle();
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(api.isCircuitOpen(), true);
+  assert.strictEqual(api._circuitCooldown, 120000);
+
+  // Next probe after 120 s succeeds
+  api._fetch = async (url, init) => {
+    requests.push({ url, method: init.method });
+    return reply(200, {}, { payload: {} });
+  };
+  t.mock.timers.tick(119000);
+  await settle();
+  assert.strictEqual(requests.length, 1);
+  t.mock.timers.tick(1000);
+  await settle();
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(api.isCircuitOpen(), false);
+  assert.deepStrictEqual(circuit, [true, false]);
+});
+
+test('token refresh failures count toward the circuit', async (t) => {
+  const { api, circuit } = createApi(t, [reply(200)]);
+  api._authenticated = false;
+  api._ensureAuthenticated = async () => { throw networkError('ETIMEDOUT'); };
+
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(api.ensureAuthenticated(), { code: 'ETIMEDOUT' });
+  }
+  assert.deepStrictEqual(circuit, [true]);
+  await assert.rejects(api.ensureAuthenticated(), { code: 'CLOUD_UNAVAILABLE' });
+});
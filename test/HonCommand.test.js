@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HonCommand = require('../lib/HonCommand');
+
+const DEFINITIONS = {
+  settings: {
+    setParameters: {
+      parameters: {
+        onOffStatus: { typology: 'enum', enumValues: ['0', '1'], mandatory: 1, defaultValue: '1' },
+        tempSel: { typology: 'range', minimumValue: '16', maximumValue: '30', incrementValue: '1', mandatory: 1, defaultValue: '24' },
+        windSpeed: { typology: 'enum', enumValues: ['1', '2', '3', '5'], mandatory: 0, defaultValue: '5' },
+        commandType: { typology: 'fixed', fixedValue: 'settings', mandatory: 1 },
+      },
+      ancillaryParameters: {
+        programRules: { typology: 'fixed', fixedValue: '{}' },
+        channel: { typology: 'fixed', fixedValue: 'mobileApp' },
+      },
+    },
+  },
+  startProgram: {
+    iot_cool: {
+      parameters: {
+        machMode: { typology: 'fixed', fixedValue: '1', mandatory: 1 },
+      },
+    },
+  },
+  stopProgram: {
+    stopProgram: { parameters: { onOffStatus: { typology: 'fixed', fixedValue: '0', mandatory: 1 } } },
+  },
+};
+
+test('fromDefinitions parses settings, programs by upper-case name and other commands', () => {
+  const { settings, stopProgram, programs, commands } = HonCommand.fromDefinitions(DEFINITIONS);
+
+  assert.ok(settings.has('tempSel'));
+  assert.strictEqual(stopProgram.get('onOffStatus').value, '0');
+  assert.deepStrictEqual(Object.keys(programs), ['IOT_COOL']);
+  assert.strictEqual(programs.IOT_COOL.programName, 'IOT_COOL');
+  assert.deepStrictEqual(Object.keys(commands).sort(), ['settings', 'stopProgram']);
+});
+
+test('mandatory and ancillary values leave out optional parameters and programRules', () => {
+  const { settings } = HonCommand.fromDefinitions(DEFINITIONS);
+
+  assert.deepStrictEqual(settings.getMandatoryValues(), { onOffStatus: '1', tempSel: '24', commandType: 'settings' });
+  assert.deepStrictEqual(settings.getAncillaryValues(), { channel: 'mobileApp' });
+});
+
+test('validate normalizes described parameters and passes unknown ones unchanged', () => {
+  const { settings } = HonCommand.fromDefinitions(DEFINITIONS);
+
+  assert.deepStrictEqual(
+    settings.validate({ tempSel: 22.4, windSpeed: 2, commandType: 'settings', extra: 7 }),
+    { tempSel: '22', windSpeed: '2', commandType: 'settings', extra: 7 },
+  );
+});
+
+test('validate lists every invalid parameter in one error', () => {
+  const { settings, programs } = HonCommand.fromDefinitions(DEFINITIONS);
+
+  assert.throws(
+    () => settings.validate({ tempSel: 31, windSpeed: '4', onOffStatus: '1' }),
+    (error) => {
+      assert.strictEqual(error.code, 'INVALID_PARAMETER');
+      assert.match(error.message, /^Invalid settings command: /);
+      assert.match(error.message, /tempSel 31 out of range/);
+      assert.match(error.message, /windSpeed 4 is not one of/);
+      assert.doesNotMatch(error.message, /onOffStatus/);
+      return true;
+    },
+  );
+  assert.throws(() => programs.IOT_COOL.validate({ machMode: '4' }), /^Error: Invalid startProgram IOT_COOL command: machMode is fixed at 1$/);
+});
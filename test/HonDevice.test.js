@@ -0,0 +1,218 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHomey } = require('./helpers/homey');
+const HonDevice = require('../lib/HonDevice');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Appliance with a settable idle state and a few activity and control parameters
+ */
+class TestDevice extends HonDevice {
+
+  _isIdle() {
+    return this.idle === true;
+  }
+
+  _getActivityParameters() {
+    return ['onOffStatus', 'tempSel'];
+  }
+
+  _getControlParameters() {
+    return ['tempSel', 'windSpeed'];
+  }
+
+}
+
+/**
+ * Initialized device with mocked timers, recording the polls it requests
+ * @param {TestContext} t
+ * @param {Object} [options]
+ * @param {Object} [options.settings]
+ * @param {boolean} [options.pushConnected]
+ * @returns {Promise<TestDevice>}
+ */
+async function createDevice(t, { settings = {}, pushConnected = false } = {}) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-10-19T08:00:00Z') });
+
+  const polls = [];
+  const app = {
+    getApi: () => null,
+    isPushConnected: () => pushConnected,
+    requestPoll: (device, delay = 0) => polls.push(delay),
+    registerDevice: () => {},
+    unregisterDevice: () => {},
+  };
+  const device = new TestDevice({
+    homey: createHomey({ app }),
+    data: { id: 'ac-00-00-00-00-01#2024-01-01T00:00:00Z' },
+    settings: { poll_mode: 'adaptive', poll_interval: 30, ...settings },
+    store: { applianceType: 'AC' },
+  });
+  device._fetchCommandDefinitions = async () => {};
+  await device.onInit();
+  device.polls = polls;
+  t.after(() => device.onUninit());
+  return device;
+}
+
+/**
+ * Polled state with the given connection event
+ * @param {string} category - CONNECTED or DISCONNECTED
+ * @param {Object} [parameters]
+ * @returns {Object}
+ */
+function polledState(category, parameters = {}) {
+  return { lastConnEvent: { category, instantTime: new Date().toISOString() }, ...parameters };
+}
+
+test('fixed mode polls at the configured interval, 5 s by default and within bounds', async (t) => {
+  const device = await createDevice(t, { settings: { poll_mode: 'fixed', poll_interval: null } });
+  assert.deepStrictEqual(device._computePollInterval(), { interval: 5000, reason: 'fixed' });
+
+  for (const [seconds, expected] of [[30, 30000], [1, 5000], [7200, 3600000]]) {
+    device._settings.poll_interval = seconds;
+    assert.strictEqual(device._computePollInterval().interval, expected);
+  }
+
+  // Activity doesn't speed up a fixed interval
+  device._settings.poll_interval = 30;
+  device._markActive();
+  assert.deepStrictEqual(device._computePollInterval(), { interval: 30000, reason: 'fixed' });
+  assert.deepStrictEqual(device.polls, []);
+});
+
+test('adaptive mode polls fast for 3 minutes after activity', async (t) => {
+  const device = await createDevice(t);
+  assert.deepStrictEqual(device._computePollInterval(), { interval: 30000, reason: 'running' });
+
+  await device.onPollState(polledState('CONNECTED', { tempSel: '21' }));
+  await device.onPollState(polledState('CONNECTED', { tempSel: '22' }));
+  assert.deepStrictEqual(device._computePollInterval(), { interval: 5000, reason: 'active' });
+  assert.deepStrictEqual(device.polls, [5000]);
+
+  t.mock.timers.tick(3 * MINUTE);
+  assert.deepStrictEqual(device._computePollInterval(), { interval: 30000, reason: 'running' });
+});
+
+test('adaptive mode slows down to 5 minutes while the appliance is idle', async (t) => {
+  const device = await createDevice(t);
+  device.idle = true;
+  assert.deepStrictEqual(device._computePollInterval(), { interval: 5 * MINUTE, reason: 'idle' });
+
+  // A longer configured interval is kept
+  device._settings.poll_interval = 600;
+  assert.strictEqual(device._computePollInterval().interval, 10 * MINUTE);
+});
+
+test('each poll while offline doubles the interval up to 30 minutes', async (t) => {
+  const device = await createDevice(t);
+
+  const intervals = [];
+  for (let i = 0; i < 8; i++) {
+    await device.onPollState(polledState('DISCONNECTED'));
+    intervals.push(device._computePollInterval().interval / 1000);
+  }
+  assert.deepStrictEqual(intervals, [60, 120, 240, 480, 960, 1800, 1800, 1800]);
+  assert.strictEqual(device._computePollInterval().reason, 'offline');
+
+  await device.onPollState(polledState('CONNECTED'));
+  assert.deepStrictEqual(device._computePollInterval(), { interval: 30000, reason: 'running' });
+});
+
+test('a pushed disconnect backs off once, without doubling', async (t) => {
+  const device = await createDevice(t);
+
+  await device.onPushState({ lastConnEvent: { category: 'DISCONNECTED', instantTime: new Date().toISOString() } });
+  await device.onPushState({ lastConnEvent: { category: 'DISCONNECTED', instantTime: new Date().toISOString() } });
+  assert.deepStrictEqual(device._computePollInterval(), { interval: 60000, reason: 'offline' });
+});
+
+test('while push updates flow, polling is a 5 minute safety net', async (t) => {
+  const device = await createDevice(t, { pushConnected: true });
+  assert.deepStrictEqual(device._computePollInterval(), { interval: 5 * MINUTE, reason: 'push' });
+
+  // Activity doesn't bring polls forward either
+  device._markActive();
+  assert.strictEqual(device._computePollInterval().interval, 5 * MINUTE);
+  assert.deepStrictEqual(device.polls, []);
+});
+
+test('the current interval is shown in the settings when it changes', async (t) => {
+  const device = await createDevice(t);
+  const setSettings = t.mock.method(device, 'setSettings');
+
+  assert.strictEqual(device.getPollInterval(), 30000);
+  assert.strictEqual(device.getPollInterval(), 30000);
+  device._markActive();
+  assert.strictEqual(device.getPollInterval(), 5000);
+
+  assert.deepStrictEqual(setSettings.mock.calls.map((call) => call.arguments[0]), [
+    { current_poll_interval: '30 s (poll_reasons.running)' },
+    { current_poll_interval: '5 s (poll_reasons.active)' },
+  ]);
+});
+
+test('a change to a value Homey sent in the last 3 minutes is its own', async (t) => {
+  const device = await createDevice(t);
+  device._recordSentCommand({ tempSel: '22' });
+
+  t.mock.timers.tick(2 * MINUTE);
+  assert.strictEqual(device._isOwnChange('tempSel', '22.0'), true);
+  assert.strictEqual(device._isOwnChange('tempSel', '23'), false);
+
+  t.mock.timers.tick(MINUTE);
+  assert.strictEqual(device._isOwnChange('tempSel', '22'), false);
+});
+
+test('a change hOn registered right after a command is a side effect of it', async (t) => {
+  const device = await createDevice(t);
+  const sentAt = Date.now();
+  device._recordSentCommand({ onOffStatus: '1' });
+  const at = (offset) => new Date(sentAt + offset).toISOString();
+
+  // The appliance clock may run up to 5 s behind
+  assert.strictEqual(device._isOwnChange('windSpeed', '3', at(-5000)), true);
+  assert.strictEqual(device._isOwnChange('windSpeed', '3', at(15000)), true);
+  assert.strictEqual(device._isOwnChange('windSpeed', '3', at(-6000)), false);
+  assert.strictEqual(device._isOwnChange('windSpeed', '3', at(16000)), false);
+  assert.strictEqual(device._isOwnChange('windSpeed', '3'), false);
+});
+
+test('changes made outside Homey trigger the flow card', async (t) => {
+  const device = await createDevice(t);
+  const external = [];
+  device.onExternalChange = async (changes) => { external.push(...changes); };
+  await device.onPollState(polledState('CONNECTED', { tempSel: '21', windSpeed: '1' }));
+
+  device._recordSentCommand({ tempSel: '22' });
+  t.mock.timers.tick(MINUTE);
+  await device.onPushState({
+    tempSel: { parNewVal: '22', lastUpdate: new Date().toISOString() },
+    windSpeed: { parNewVal: '3', lastUpdate: new Date().toISOString() },
+  });
+
+  assert.deepStrictEqual(external, [{ param: 'windSpeed', from: '1', to: '3' }]);
+  assert.deepStrictEqual(device.homey.triggers.filter(({ id }) => id === 'changed_externally'), [{
+    id: 'changed_externally',
+    tokens: { parameters: 'windSpeed', changes: 'windSpeed: 1 → 3' },
+    state: undefined,
+  }]);
+});
+
+test('nothing is reported without a previous state, or while the appliance changes itself', async (t) => {
+  const device = await createDevice(t);
+  await device.onPollState(polledState('CONNECTED', { tempSel: '21' }));
+  assert.deepStrictEqual(device.homey.triggers, []);
+
+  device._isApplianceChange = () => true;
+  await device.onPollState(polledState('CONNECTED', { tempSel: '25' }));
+  assert.deepStrictEqual(device.homey.triggers, []);
+
+  // Parameters that are not watched, or didn't change, are left alone
+  device._isApplianceChange = () => false;
+  await device.onPollState(polledState('CONNECTED', { tempSel: '25.0', onOffStatus: '0' }));
+  assert.deepStrictEqual(device.homey.triggers, []);
+});
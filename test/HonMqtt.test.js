@@ -0,0 +1,232 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const net = require('node:net');
+const Aedes = require('aedes');
+const { createHomey } = require('./helpers/homey');
+const HaierHonApp = require('../app');
+const HonApi = require('../lib/HonApi');
+const HonDevice = require('../lib/HonDevice');
+const HonMqtt = require('../lib/HonMqtt');
+const HonSimulator = require('../tools/hon-simulator');
+
+const MAC_ADDRESS = 'ac-00-00-00-00-01';
+const STATUS_TOPIC = `haier/things/${MAC_ADDRESS}/event/appliancestatus/update`;
+
+/**
+ * Local MQTT broker on a free port, closed after the test
+ * @param {TestContext} t
+ * @returns {Promise<{broker: Aedes, url: string}>}
+ */
+async function startBroker(t) {
+  const broker = new Aedes();
+  const server = net.createServer(broker.handle);
+  server.listen(0);
+  await once(server, 'listening');
+  t.after(async () => {
+    await new Promise((resolve) => broker.close(resolve));
+    await new Promise((resolve) => server.close(resolve));
+  });
+  return { broker, url: `mqtt://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Push channel for the simulated AC, subscribed on the given broker
+ * @param {TestContext} t
+ * @param {Aedes} broker
+ * @param {string} url
+ * @returns {Promise<HonMqtt>}
+ */
+async function connect(t, broker, url) {
+  const push = new HonMqtt({ url, log: () => {}, error: () => {} });
+  t.after(() => push.stop());
+  push.setAppliances([{ macAddress: `${MAC_ADDRESS}#2024-01-01T00:00:00Z` }]);
+
+  const subscribed = once(broker, 'subscribe');
+  await push.start();
+  await subscribed;
+  return push;
+}
+
+/**
+ * Publish a message on the broker as the appliance would
+ * @param {Aedes} broker
+ * @param {string} topic
+ * @param {Object|string} payload
+ * @returns {Promise<void>}
+ */
+function publish(broker, topic, payload) {
+  const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return new Promise((resolve) => broker.publish({ topic, payload: Buffer.from(text), qos: 1, retain: false }, resolve));
+}
+
+/**
+ * Simulator with its push broker, and an authenticated API pointed at both
+ * @param {TestContext} t
+ * @returns {Promise<{simulator: HonSimulator, api: HonApi}>}
+ */
+async function startSimulator(t) {
+  const simulator = new HonSimulator({ port: 0, mqttPort: 0, log: () => {} });
+  await simulator.start();
+  t.after(() => simulator.stop());
+
+  const api = new HonApi({
+    authUrl: `http://127.0.0.1:${simulator.port}`,
+    apiUrl: `http://127.0.0.1:${simulator.port}`,
+    mqttUrl: `mqtt://127.0.0.1:${simulator.mqttPort}`,
+    log: () => {},
+    error: () => {},
+  });
+  t.after(() => api.destroy());
+
+  const tokens = simulator._issueTokenSet();
+  api.setTokens(tokens.access_token, tokens.id_token, tokens.refresh_token);
+  await api.initializeWithTokens();
+  return { simulator, api };
+}
+
+/**
+ * Resolve once the condition holds, checking every 10 ms
+ * @param {Function} condition
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  while (!condition()) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('the channel subscribes to the status and presence topics of each appliance', async (t) => {
+  const { broker, url } = await startBroker(t);
+  const topics = [];
+  broker.on('subscribe', (subscriptions) => topics.push(...subscriptions.map(({ topic }) => topic)));
+
+  const push = await connect(t, broker, url);
+  assert.strictEqual(push.isConnected(), true);
+  assert.deepStrictEqual(topics.sort(), [
+    `$aws/events/presence/connected/${MAC_ADDRESS}`,
+    `$aws/events/presence/disconnected/${MAC_ADDRESS}`,
+    STATUS_TOPIC,
+  ]);
+});
+
+test('status updates are passed on in the shape of the polled state', async (t) => {
+  const { broker, url } = await startBroker(t);
+  const push = await connect(t, broker, url);
+
+  const state = once(push, 'state');
+  await publish(broker, STATUS_TOPIC, 'not json');
+  await publish(broker, STATUS_TOPIC, {
+    parameters: [
+      { parName: 'tempSel', parNewVal: '22', lastUpdate: '2026-10-19T08:00:00Z' },
+      { parName: 'windSpeed', parNewVal: '3' },
+    ],
+    timestamp: '2026-10-19T08:00:01Z',
+  });
+
+  assert.deepStrictEqual(await state, [MAC_ADDRESS, {
+    tempSel: { parNewVal: '22', lastUpdate: '2026-10-19T08:00:00Z' },
+    windSpeed: { parNewVal: '3', lastUpdate: '2026-10-19T08:00:01Z' },
+  }]);
+});
+
+test('presence messages report the appliance connection', async (t) => {
+  const { broker, url } = await startBroker(t);
+  const push = await connect(t, broker, url);
+  const events = [];
+  push.on('connection', (...args) => events.push(args));
+
+  await publish(broker, `$aws/events/presence/disconnected/${MAC_ADDRESS}`, { eventType: 'disconnected' });
+  await publish(broker, `$aws/events/presence/connected/${MAC_ADDRESS}`, { eventType: 'connected' });
+  await waitFor(() => events.length === 2);
+  assert.deepStrictEqual(events, [[MAC_ADDRESS, false], [MAC_ADDRESS, true]]);
+});
+
+test('a dropped channel goes offline and reconnects and subscribes again', async (t) => {
+  const { broker, url } = await startBroker(t);
+  const push = await connect(t, broker, url);
+  const [client] = Object.values(broker.clients);
+
+  const offline = once(push, 'offline');
+  client.close();
+  await offline;
+  assert.strictEqual(push.isConnected(), false);
+
+  // First reconnect after 5 seconds
+  const resubscribed = once(broker, 'subscribe');
+  await once(push, 'online');
+  await resubscribed;
+
+  const state = once(push, 'state');
+  await publish(broker, STATUS_TOPIC, { parameters: [{ parName: 'onOffStatus', parNewVal: '1' }] });
+  assert.strictEqual((await state)[1].onOffStatus.parNewVal, '1');
+});
+
+test('the app routes pushed commands and presence of the simulator to the device', async (t) => {
+  const { simulator, api } = await startSimulator(t);
+  const updates = [];
+  const statuses = [];
+  const device = {
+    deviceId: MAC_ADDRESS,
+    onPushState: async (parameters) => updates.push(parameters),
+    onPushStatusChanged: async (connected) => statuses.push(connected),
+  };
+  const app = new HaierHonApp({ homey: createHomey({ devices: [device] }) });
+  app.api = api;
+
+  await app._connectPush();
+  await waitFor(() => statuses.length === 1);
+  assert.strictEqual(app.isPushConnected(), true);
+
+  await api.sendCommand(MAC_ADDRESS, 'settings', { onOffStatus: '1', tempSel: '21' });
+  await waitFor(() => updates.length === 1);
+  assert.deepStrictEqual(Object.keys(updates[0]).sort(), ['onOffStatus', 'tempSel']);
+  assert.strictEqual(updates[0].tempSel.parNewVal, '21');
+
+  simulator.setConnected(false);
+  await waitFor(() => updates.length === 2);
+  assert.strictEqual(updates[1].lastConnEvent.category, 'DISCONNECTED');
+});
+
+test('devices fall back to regular polling when the channel drops', async (t) => {
+  const { simulator, api } = await startSimulator(t);
+  const polls = [];
+  const app = {
+    getApi: () => api,
+    isPushConnected: () => api.isPushConnected(),
+    requestPoll: (device, delay = 0) => polls.push(delay),
+    registerDevice: () => {},
+    unregisterDevice: () => {},
+  };
+  const homey = createHomey({ app });
+  const device = new HonDevice({
+    homey,
+    data: { id: MAC_ADDRESS },
+    settings: { poll_mode: 'fixed', poll_interval: 30 },
+    store: { applianceType: 'AC' },
+  });
+  device._fetchCommandDefinitions = async () => {};
+  await device.onInit();
+
+  const connected = [];
+  await api.startPush(await api.getAppliances(), {
+    onStatusChange: (online) => {
+      connected.push(online);
+      device.onPushStatusChanged(online);
+    },
+  });
+  await waitFor(() => connected.length === 1);
+
+  // Push is up: polling is a slow safety net
+  assert.strictEqual(device.getPollInterval(), 5 * 60 * 1000);
+
+  // Broker gone: an immediate poll and the user's interval again
+  polls.length = 0;
+  await new Promise((resolve) => simulator._broker.close(resolve));
+  await waitFor(() => connected.length === 2);
+  assert.deepStrictEqual(connected, [true, false]);
+  assert.deepStrictEqual(polls, [0]);
+  assert.strictEqual(device.getPollInterval(), 30000);
+});
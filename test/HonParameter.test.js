@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseParameter, RangeParameter, EnumParameter, FixedParameter, HonParameter } = require('../lib/HonParameter');
+
+const TEMPERATURE = parseParameter('tempSel', {
+  typology: 'range', minimumValue: '16', maximumValue: '30', incrementValue: '0.5',
+});
+
+test('parseParameter picks the class of the typology', () => {
+  assert.ok(TEMPERATURE instanceof RangeParameter);
+  assert.ok(parseParameter('machMode', { typology: 'enum', enumValues: ['1'] }) instanceof EnumParameter);
+  assert.ok(parseParameter('onOffStatus', { typology: 'fixed', fixedValue: '1' }) instanceof FixedParameter);
+
+  const unknown = parseParameter('other', { typology: 'something' });
+  assert.strictEqual(unknown.constructor, HonParameter);
+  assert.deepStrictEqual(unknown.normalize({ any: 'value' }), { any: 'value' });
+});
+
+test('range values snap to the step and are sent the way hOn formats them', () => {
+  assert.strictEqual(TEMPERATURE.normalize('22'), '22');
+  assert.strictEqual(TEMPERATURE.normalize(22.2), '22');
+  assert.strictEqual(TEMPERATURE.normalize('22.3'), '22.5');
+  assert.strictEqual(TEMPERATURE.normalize(29.9), '30');
+  assert.strictEqual(TEMPERATURE.normalize(16), '16');
+});
+
+test('range values outside the range or not numeric are rejected', () => {
+  for (const value of [15.9, '30.5', '', null, undefined, 'warm']) {
+    assert.throws(() => TEMPERATURE.normalize(value), { code: 'INVALID_PARAMETER', parameter: 'tempSel' });
+  }
+});
+
+test('range without bounds passes any number', () => {
+  const open = parseParameter('delay', { typology: 'range' });
+  assert.strictEqual(open.normalize('120.50'), '120.5');
+});
+
+test('enum matches numeric values regardless of formatting and string values exactly', () => {
+  const speed = parseParameter('windSpeed', { typology: 'enum', enumValues: [1, '2', '3', '5'] });
+  assert.strictEqual(speed.normalize(1), '1');
+  assert.strictEqual(speed.normalize('2.0'), '2');
+  assert.strictEqual(speed.normalize('5'), '5');
+  assert.throws(() => speed.normalize(4), { code: 'INVALID_PARAMETER', parameter: 'windSpeed' });
+  assert.throws(() => speed.normalize(''), { code: 'INVALID_PARAMETER' });
+
+  const program = parseParameter('program', { typology: 'enum', enumValues: ['iot_cool', 'iot_heat'] });
+  assert.strictEqual(program.normalize('iot_cool'), 'iot_cool');
+  assert.throws(() => program.normalize('IOT_COOL'), { code: 'INVALID_PARAMETER' });
+});
+
+test('fixed parameters only accept their own value and send it as defined', () => {
+  const fixed = parseParameter('onOffStatus', { typology: 'fixed', fixedValue: '1', mandatory: 1 });
+  assert.strictEqual(fixed.value, '1');
+  assert.strictEqual(fixed.mandatory, true);
+  assert.strictEqual(fixed.normalize(1), '1');
+  assert.strictEqual(fixed.normalize('1.0'), '1');
+  assert.throws(() => fixed.normalize('0'), { code: 'INVALID_PARAMETER', parameter: 'onOffStatus' });
+});
@@ -0,0 +1,203 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PollScheduler = require('../lib/PollScheduler');
+
+/**
+ * Subscribed device recording what the scheduler hands it
+ * @param {string} deviceId
+ * @param {number} [interval] - Poll interval in milliseconds
+ * @returns {Object}
+ */
+function createDevice(deviceId, interval = 60000) {
+  return {
+    deviceId,
+    applianceType: 'AC',
+    states: [],
+    errors: [],
+    getPollInterval: () => interval,
+    async onPollState(state) { this.states.push(state); },
+    async onPollError(error) { this.errors.push(error); },
+  };
+}
+
+/**
+ * API whose state requests take the given time, recording when each started
+ * @param {Object} [options]
+ * @param {number} [options.duration] - Milliseconds a state request takes
+ * @param {boolean} [options.circuitOpen]
+ * @param {Function} [options.fail] - Returns an error to reject a device's request with
+ * @returns {Object}
+ */
+function createApi({ duration = 0, circuitOpen = false, fail = () => null } = {}) {
+  const api = {
+    starts: [],
+    authentications: 0,
+    inFlight: 0,
+    maxInFlight: 0,
+    isCircuitOpen: () => circuitOpen,
+    async ensureAuthenticated() { api.authentications++; },
+    getApplianceState(deviceId) {
+      api.starts.push({ deviceId, at: Date.now() });
+      api.inFlight++;
+      api.maxInFlight = Math.max(api.maxInFlight, api.inFlight);
+      return new Promise((resolve, reject) => {
+        const finish = () => {
+          api.inFlight--;
+          const error = fail(deviceId);
+          if (error) reject(error);
+          else resolve({ deviceId });
+        };
+        if (duration > 0) setTimeout(finish, duration);
+        else finish();
+      });
+    },
+  };
+  return api;
+}
+
+/**
+ * Scheduler with mocked timers, stopped after the test
+ * @param {TestContext} t
+ * @param {Object|null} api
+ * @param {Object} [options]
+ * @returns {PollScheduler}
+ */
+function createScheduler(t, api, options = {}) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+  const scheduler = new PollScheduler({
+    getApi: async () => api,
+    log: () => {},
+    error: () => {},
+    ...options,
+  });
+  t.after(() => scheduler.stop());
+  return scheduler;
+}
+
+/**
+ * Advance the mocked clock in small steps, letting promises settle in between
+ * @param {TestContext} t
+ * @param {number} ms
+ */
+async function advance(t, ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += 50) {
+    t.mock.timers.tick(50);
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+test('no more requests are in flight than the concurrency allows, started a stagger apart', async (t) => {
+  const api = createApi({ duration: 1000 });
+  const scheduler = createScheduler(t, api, { concurrency: 2, stagger: 250 });
+  const devices = ['a', 'b', 'c', 'd'].map((id) => createDevice(id));
+  devices.forEach((device) => scheduler.subscribe(device));
+
+  await advance(t, 3500);
+  assert.strictEqual(api.maxInFlight, 2);
+  assert.deepStrictEqual(api.starts, [
+    { deviceId: 'a', at: 1000 },
+    { deviceId: 'b', at: 1250 },
+    { deviceId: 'c', at: 2000 },
+    { deviceId: 'd', at: 2250 },
+  ]);
+  assert.deepStrictEqual(devices.map((device) => device.states.length), [1, 1, 1, 1]);
+});
+
+test('devices due within the align window share a cycle', async (t) => {
+  const api = createApi();
+  const scheduler = createScheduler(t, api, { stagger: 0 });
+  scheduler.subscribe(createDevice('a', 10000));
+  scheduler.subscribe(createDevice('b', 11500));
+  scheduler.subscribe(createDevice('c', 14000));
+
+  await advance(t, 12000);
+  assert.deepStrictEqual(api.starts.map(({ deviceId, at }) => `${deviceId}@${at}`), [
+    'a@1000', 'b@1000', 'c@1000',
+    // b was due at 12500, within 2 s of a
+    'a@11000', 'b@11000',
+  ]);
+});
+
+test('cycles keep a minimum gap, however short the interval', async (t) => {
+  const api = createApi();
+  const scheduler = createScheduler(t, api);
+  scheduler.subscribe(createDevice('a', 0));
+
+  await advance(t, 3100);
+  assert.deepStrictEqual(api.starts.map(({ at }) => at), [1000, 2000, 3000]);
+});
+
+test('requestPoll brings a poll forward', async (t) => {
+  const api = createApi();
+  const scheduler = createScheduler(t, api);
+  const device = createDevice('a');
+  scheduler.subscribe(device);
+
+  await advance(t, 1000);
+  scheduler.requestPoll(device, 5000);
+  await advance(t, 5000);
+  assert.deepStrictEqual(api.starts.map(({ at }) => at), [1000, 6000]);
+});
+
+test('a cycle is skipped while the circuit is open', async (t) => {
+  const api = createApi({ circuitOpen: true });
+  const scheduler = createScheduler(t, api);
+  const device = createDevice('a');
+  scheduler.subscribe(device);
+
+  await advance(t, 1000);
+  assert.strictEqual(api.authentications, 0);
+  assert.strictEqual(api.starts.length, 0);
+  assert.deepStrictEqual(device.errors, []);
+});
+
+test('tokens are refreshed once per cycle', async (t) => {
+  const api = createApi();
+  const scheduler = createScheduler(t, api, { stagger: 0 });
+  ['a', 'b', 'c'].forEach((id) => scheduler.subscribe(createDevice(id, 10000)));
+
+  await advance(t, 1000);
+  assert.strictEqual(api.authentications, 1);
+  assert.strictEqual(api.starts.length, 3);
+
+  await advance(t, 10000);
+  assert.strictEqual(api.authentications, 2);
+});
+
+test('a failed token refresh is reported to every device in the cycle', async (t) => {
+  const api = createApi();
+  const refreshError = new Error('Token refresh failed: 400');
+  api.ensureAuthenticated = async () => { throw refreshError; };
+  const scheduler = createScheduler(t, api);
+  const devices = ['a', 'b'].map((id) => createDevice(id));
+  devices.forEach((device) => scheduler.subscribe(device));
+
+  await advance(t, 1000);
+  assert.strictEqual(api.starts.length, 0);
+  assert.deepStrictEqual(devices.map((device) => device.errors), [[refreshError], [refreshError]]);
+});
+
+test('without an API every device is told it is not authenticated', async (t) => {
+  const scheduler = createScheduler(t, null);
+  const devices = ['a', 'b'].map((id) => createDevice(id));
+  devices.forEach((device) => scheduler.subscribe(device));
+
+  await advance(t, 1000);
+  assert.deepStrictEqual(devices.map((device) => device.errors.map((error) => error.code)), [
+    ['NOT_AUTHENTICATED'], ['NOT_AUTHENTICATED'],
+  ]);
+});
+
+test('a failed state request only affects its own device', async (t) => {
+  const error = new Error('API request failed: 404');
+  const api = createApi({ fail: (deviceId) => (deviceId === 'b' ? error : null) });
+  const scheduler = createScheduler(t, api, { stagger: 0 });
+  const devices = ['a', 'b', 'c'].map((id) => createDevice(id));
+  devices.forEach((device) => scheduler.subscribe(device));
+
+  await advance(t, 1000);
+  assert.deepStrictEqual(devices.map((device) => device.states.length), [1, 0, 1]);
+  assert.deepStrictEqual(devices.map((device) => device.errors), [[], [error], []]);
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const WeeklySchedule = require('../lib/WeeklySchedule');
+
+const TIMEZONE = 'Europe/Amsterdam';
+const EVERY_DAY = WeeklySchedule.DAYS;
+
+/**
+ * Schedule in the test timezone from blocks without settings
+ * @param {Array<{days: Array<string>, time: string}>} blocks
+ * @returns {WeeklySchedule}
+ */
+function schedule(blocks) {
+  return new WeeklySchedule({ blocks: WeeklySchedule.normalize({ blocks }).blocks, timezone: TIMEZONE });
+}
+
+test('next block after the switch to summer time starts at its local time', () => {
+  const weekly = schedule([{ days: EVERY_DAY, time: '07:00' }]);
+
+  // Saturday 23:00 CET; Sunday 07:00 is CEST
+  const next = weekly.next(Date.parse('2026-03-28T22:00:00Z'));
+  assert.strictEqual(new Date(next.at).toISOString(), '2026-03-29T05:00:00.000Z');
+});
+
+test('next block after the switch to winter time starts at its local time', () => {
+  const weekly = schedule([{ days: EVERY_DAY, time: '07:00' }]);
+
+  // Saturday 23:00 CEST; Sunday 07:00 is CET
+  const next = weekly.next(Date.parse('2026-10-24T21:00:00Z'));
+  assert.strictEqual(new Date(next.at).toISOString(), '2026-10-25T06:00:00.000Z');
+});
+
+test('a block in the skipped hour starts when the clock has moved on', () => {
+  const weekly = schedule([{ days: ['sun'], time: '02:30' }]);
+
+  // 02:30 doesn't exist on 2026-03-29; the block starts at 03:30 CEST
+  const next = weekly.next(Date.parse('2026-03-28T22:00:00Z'));
+  assert.strictEqual(new Date(next.at).toISOString(), '2026-03-29T01:30:00.000Z');
+});
+
+test('current block on the day of a time change has that day as its key', () => {
+  const weekly = schedule([{ days: EVERY_DAY, time: '07:00' }, { days: EVERY_DAY, time: '22:00' }]);
+
+  assert.strictEqual(weekly.current(Date.parse('2026-03-29T06:00:00Z')).key, '2026-03-29 07:00');
+  assert.strictEqual(weekly.current(Date.parse('2026-10-25T07:00:00Z')).key, '2026-10-25 07:00');
+  // 00:30 local, still the block of the evening before
+  assert.strictEqual(weekly.current(Date.parse('2026-10-24T22:30:00Z')).key, '2026-10-24 22:00');
+});
+
+test('Sunday evening block runs into Monday morning', () => {
+  const weekly = schedule([{ days: ['mon'], time: '07:00' }, { days: ['sun'], time: '22:00' }]);
+
+  // Monday 2026-10-19 03:00 CEST
+  const current = weekly.current(Date.parse('2026-10-19T01:00:00Z'));
+  assert.strictEqual(current.block.time, '22:00');
+  assert.strictEqual(current.key, '2026-10-18 22:00');
+
+  // Sunday 23:00 CEST: next is Monday 07:00
+  const next = weekly.next(Date.parse('2026-10-18T21:00:00Z'));
+  assert.strictEqual(next.block.time, '07:00');
+  assert.strictEqual(new Date(next.at).toISOString(), '2026-10-19T05:00:00.000Z');
+});
+
+test('a single block wraps around to the same day next week', () => {
+  const weekly = schedule([{ days: ['wed'], time: '12:00' }]);
+
+  // Wednesday 2026-10-21 13:00 CEST
+  const at = Date.parse('2026-10-21T11:00:00Z');
+  assert.strictEqual(weekly.current(at).key, '2026-10-21 12:00');
+  assert.strictEqual(new Date(weekly.next(at).at).toISOString(), '2026-10-28T11:00:00.000Z');
+
+  // Monday: the block of last week's Wednesday is still running
+  assert.strictEqual(weekly.current(Date.parse('2026-10-19T08:00:00Z')).key, '2026-10-14 12:00');
+});
+
+test('keys count back across month and year boundaries', () => {
+  const weekly = schedule([{ days: ['wed'], time: '12:00' }, { days: ['sun'], time: '22:00' }]);
+
+  // Friday 2027-01-01 10:00 CET and Monday 2027-01-04 03:00 CET
+  assert.strictEqual(weekly.current(Date.parse('2027-01-01T09:00:00Z')).key, '2026-12-30 12:00');
+  assert.strictEqual(weekly.current(Date.parse('2027-01-04T02:00:00Z')).key, '2027-01-03 22:00');
+});
+
+test('the key of the next block matches the key it has once it runs', () => {
+  const weekly = schedule([{ days: EVERY_DAY, time: '07:00' }, { days: ['sat', 'sun'], time: '09:30' }]);
+
+  // A skip or override is stored under current(next.at).key and compared with current().key later
+  for (const now of ['2026-03-28T22:00:00Z', '2026-10-24T21:00:00Z', '2026-10-18T21:00:00Z']) {
+    const next = weekly.next(Date.parse(now));
+    const skipKey = weekly.current(next.at).key;
+    assert.strictEqual(weekly.current(next.at + 60 * 1000).key, skipKey);
+    assert.notStrictEqual(weekly.current(next.at - 60 * 1000).key, skipKey);
+  }
+});
+
+test('an empty schedule has no current or next block', () => {
+  const weekly = schedule([]);
+  assert.strictEqual(weekly.current(), null);
+  assert.strictEqual(weekly.next(), null);
+});
+
+test('normalize orders the days and rejects blocks starting at the same moment', () => {
+  const { blocks } = WeeklySchedule.normalize({ blocks: [{ days: ['sun', 'mon'], time: '07:00' }] });
+  assert.deepStrictEqual(blocks[0].days, ['mon', 'sun']);
+
+  assert.throws(
+    () => WeeklySchedule.normalize({ blocks: [{ days: ['mon'], time: '07:00' }, { days: ['mon', 'tue'], time: '07:00' }] }),
+    { code: 'INVALID_SCHEDULE' },
+  );
+  assert.throws(() => WeeklySchedule.normalize({ blocks: [{ days: ['mon'], time: '24:00' }] }), { code: 'INVALID_SCHEDULE' });
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+const Module = require('module');
+
+/**
+ * Stand-in for the Homey SDK, which only exists on a Homey. Requiring this
+ * file makes require('homey') return it, so apps, drivers and devices can be
+ * created outside Homey. Timers go through the global ones, so node:test's
+ * mocked timers apply.
+ */
+
+class SimpleClass {
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.homey - Result of createHomey()
+   */
+  constructor({ homey }) {
+    this.homey = homey;
+  }
+
+  log() {}
+
+  error() {}
+
+}
+
+class App extends SimpleClass {}
+
+class Driver extends SimpleClass {}
+
+class Device extends SimpleClass {
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.homey - Result of createHomey()
+   * @param {Object} [options.driver]
+   * @param {Object} [options.data]
+   * @param {Object} [options.settings]
+   * @param {Object} [options.store]
+   * @param {Object} [options.capabilities] - Capability values, keyed by capability
+   */
+  constructor({ homey, driver = { applianceTypes: ['AC'] }, data = {}, settings = {}, store = {}, capabilities = {} }) {
+    super({ homey });
+    this.driver = driver;
+    this._data = data;
+    this._settings = { ...settings };
+    this._store = { ...store };
+    this._capabilities = new Map(Object.entries(capabilities));
+    this._listeners = new Map();
+    this._available = true;
+  }
+
+  getData() {
+    return this._data;
+  }
+
+  getSetting(key) {
+    return this._settings[key] ?? null;
+  }
+
+  getSettings() {
+    return { ...this._settings };
+  }
+
+  async setSettings(settings) {
+    Object.assign(this._settings, settings);
+  }
+
+  getStoreValue(key) {
+    return this._store[key] ?? null;
+  }
+
+  async setStoreValue(key, value) {
+    this._store[key] = value;
+  }
+
+  async unsetStoreValue(key) {
+    delete this._store[key];
+  }
+
+  getCapabilities() {
+    return [...this._capabilities.keys()];
+  }
+
+  hasCapability(capability) {
+    return this._capabilities.has(capability);
+  }
+
+  getCapabilityValue(capability) {
+    // Homey throws on a capability the device doesn't have
+    if (!this._capabilities.has(capability)) {
+      throw new Error(`Invalid Capability: ${capability}`);
+    }
+    return this._capabilities.get(capability);
+  }
+
+  async setCapabilityValue(capability, value) {
+    if (!this._capabilities.has(capability)) {
+      throw new Error(`Invalid Capability: ${capability}`);
+    }
+    this._capabilities.set(capability, value);
+  }
+
+  async addCapability(capability) {
+    if (!this._capabilities.has(capability)) {
+      this._capabilities.set(capability, null);
+    }
+  }
+
+  async removeCapability(capability) {
+    this._capabilities.delete(capability);
+  }
+
+  async setCapabilityOptions() {}
+
+  registerCapabilityListener(capability, listener) {
+    this._listeners.set(capability, listener);
+  }
+
+  async triggerCapabilityListener(capability, value) {
+    // Like a change in the Homey UI: the value is set once the listener succeeds
+    await this._listeners.get(capability)(value);
+    this._capabilities.set(capability, value);
+  }
+
+  getAvailable() {
+    return this._available;
+  }
+
+  async setAvailable() {
+    this._available = true;
+  }
+
+  async setUnavailable() {
+    this._available = false;
+  }
+
+}
+
+/**
+ * Homey manager object as devices and apps see it as this.homey. Flow card
+ * triggers are recorded in homey.triggers.
+ * @param {Object} [options]
+ * @param {Object} [options.app] - What devices get as this.homey.app
+ * @param {Array<Object>} [options.devices] - Devices returned by the drivers manager
+ * @returns {Object}
+ */
+function createHomey({ app = null, devices = [] } = {}) {
+  const triggers = [];
+  const card = (id) => ({
+    trigger: async (device, tokens, state) => { triggers.push({ id, tokens, state }); },
+    registerRunListener() { return this; },
+    registerArgumentAutocompleteListener() { return this; },
+  });
+
+  return {
+    app,
+    triggers,
+    __: (key) => key,
+    clock: { getTimezone: () => 'Europe/Amsterdam' },
+    i18n: { getLanguage: () => 'en' },
+    flow: {
+      getDeviceTriggerCard: card,
+      getActionCard: card,
+      getConditionCard: card,
+    },
+    drivers: { getDrivers: () => ({ stub: { getDevices: () => devices } }) },
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: (timer) => clearTimeout(timer),
+  };
+}
+
+const Homey = { App, Driver, Device, SimpleClass, env: {} };
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...args) {
+  if (request === 'homey') return __filename;
+  return resolveFilename.call(this, request, ...args);
+};
+
+module.exports = Homey;
+module.exports.createHomey = createHomey;
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Flow card manifest generator
+ *
+ * Writes the manifests of the cards in drivers/aircon/flowCards.js to
+ * .homeycompose/flow. Titles come from the capabilities: a toggle's insights
+ * titles ("Silent mode turned on") or title ("Turn silent mode on or off") and
+ * a sensor's title in the driver manifest.
+ * Run it after changing the card definition, then build the app as usual.
+ *
+ * Usage: node tools/generate-flow-cards.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FLOW_CARDS } = require('../drivers/aircon/flowCards');
+
+const ROOT = path.join(__dirname, '..');
+const FLOW_DIR = path.join(ROOT, '.homeycompose', 'flow');
+
+const driverManifest = readJson(path.join(ROOT, 'drivers', 'aircon', 'driver.compose.json'));
+
+/**
+ * @param {string} file
+ * @returns {Object}
+ */
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Build a translated string per language from a translated source
+ * @param {Object<string, string>} source - {en, nl}
+ * @param {Object<string, function(string): string>} templates - Per language
+ * @returns {Object<string, string>}
+ */
+function translate(source, templates) {
+  return Object.fromEntries(Object.entries(templates).map(([language, template]) => [language, template(source[language] || source.en)]));
+}
+
+/**
+ * Device argument limited to air conditioners with the capability
+ * @param {string} capability
+ * @returns {Object}
+ */
+function deviceArg(capability) {
+  return { type: 'device', name: 'device', filter: `driver_id=aircon&capabilities=${capability}` };
+}
+
+/**
+ * Manifest of a toggle's trigger, condition or action
+ * @param {Object} card
+ * @returns {Object}
+ */
+function toggleManifest(card) {
+  const capability = readJson(path.join(ROOT, '.homeycompose', 'capabilities', `${card.capability}.json`));
+
+  if (card.type === 'action') {
+    const name = Object.fromEntries(Object.entries(capability.title).map(([language, title]) => [language, title.toLowerCase()]));
+    return {
+      title: translate(name, {
+        en: (text) => `Turn ${text} on or off`,
+        nl: (text) => `Zet ${text} aan of uit`,
+      }),
+      titleFormatted: translate(name, {
+        en: (text) => `Turn ${text} [[enabled]]`,
+        nl: (text) => `Zet ${text} [[enabled]]`,
+      }),
+      args: [
+        deviceArg(card.capability),
+        {
+          type: 'dropdown',
+          name: 'enabled',
+          values: [
+            { id: 'true', label: { en: 'On', nl: 'Aan' } },
+            { id: 'false', label: { en: 'Off', nl: 'Uit' } },
+          ],
+        },
+      ],
+    };
+  }
+  if (card.type === 'condition') {
+    return {
+      title: translate(capability.title, {
+        en: (name) => `${name} !{{is|is not}} on`,
+        nl: (name) => `${name} !{{staat|staat niet}} aan`,
+      }),
+      args: [deviceArg(card.capability)],
+    };
+  }
+  return {
+    title: card.on ? capability.insightsTitleTrue : capability.insightsTitleFalse,
+    args: [deviceArg(card.capability)],
+  };
+}
+
+/**
+ * Manifest of a temperature threshold trigger
+ * @param {Object} card
+ * @returns {Object}
+ */
+function thresholdManifest(card) {
+  const name = driverManifest.capabilitiesOptions[card.capability].title;
+  const above = card.crossing === 'above';
+
+  return {
+    title: translate(name, above
+      ? { en: (text) => `${text} rose above ...`, nl: (text) => `${text} is boven ... gestegen` }
+      : { en: (text) => `${text} dropped below ...`, nl: (text) => `${text} is onder ... gedaald` }),
+    titleFormatted: translate(name, above
+      ? { en: (text) => `${text} rose above [[threshold]]`, nl: (text) => `${text} is boven [[threshold]] gestegen` }
+      : { en: (text) => `${text} dropped below [[threshold]]`, nl: (text) => `${text} is onder [[threshold]] gedaald` }),
+    hint: {
+      en: 'Runs once when the temperature crosses the threshold, in °C.',
+      nl: 'Start één keer wanneer de temperatuur de drempel passeert, in °C.',
+    },
+    args: [
+      deviceArg(card.capability),
+      {
+        type: 'number',
+        name: 'threshold',
+        placeholder: { en: 'Temperature', nl: 'Temperatuur' },
+      },
+    ],
+    tokens: [
+      {
+        name: 'temperature',
+        type: 'number',
+        title: { en: 'Temperature', nl: 'Temperatuur' },
+        example: 21.5,
+      },
+    ],
+  };
+}
+
+for (const card of FLOW_CARDS) {
+  const manifest = card.crossing ? thresholdManifest(card) : toggleManifest(card);
+  const file = path.join(FLOW_DIR, `${card.type}s`, `${card.id}.json`);
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  console.log(`Wrote ${path.relative(ROOT, file)}`);
+}
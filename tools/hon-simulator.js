@@ -0,0 +1,474 @@
+'use strict';
+
+/**
+ * Local hOn cloud simulator
+ *
+ * Serves the Salesforce token endpoints and the hOn command API for one fake
+ * air conditioner, keeping its shadow state in memory and applying sent commands.
+ * Its electricity counter runs at 1200 W while the AC is on.
+ * With --mqtt-port it also runs an MQTT broker that pushes every applied
+ * command on the appliance status topic, like the hOn push channel.
+ * Point the app at it through env.json:
+ *
+ *   { "HON_AUTH_URL": "http://<host>:8080", "HON_API_URL": "http://<host>:8080",
+ *     "HON_MQTT_URL": "mqtt://<host>:1883" }
+ *
+ * Usage: node tools/hon-simulator.js [--port=8080] [--token-ttl=28800] [--latency=0] [--mqtt-port=1883]
+ *   --token-ttl  Seconds before issued tokens are rejected with 401 (short values reproduce expiry bugs)
+ *   --latency    Milliseconds added to every response
+ *   --mqtt-port  Port of the push broker (off when not given)
+ */
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+
+const MAC_ADDRESS = 'ac-00-00-00-00-01';
+
+// Shadow parameters of the fake AC (all values are strings, as hOn sends them)
+const INITIAL_PARAMETERS = {
+  onOffStatus: '0',
+  machMode: '1',
+  tempSel: '22',
+  tempIndoor: '24',
+  tempOutdoor: '18',
+  humidityIndoor: '48',
+  windSpeed: '5',
+  windDirectionHorizontal: '0',
+  windDirectionVertical: '5',
+  humanSensingStatus: '0',
+  muteStatus: '0',
+  rapidMode: '0',
+  silentSleepStatus: '0',
+  screenDisplayStatus: '1',
+  echoStatus: '0',
+  ecoMode: '0',
+  healthMode: '0',
+  '10degreeHeatingStatus': '0',
+};
+
+// machMode per program, applied on startProgram
+const PROGRAM_MACH_MODE = {
+  IOT_AUTO: '0',
+  IOT_COOL: '1',
+  IOT_DRY: '2',
+  IOT_HEAT: '4',
+  IOT_FAN: '6',
+  IOT_10_HEATING: '4',
+};
+
+// Helpers building pyhOn-style parameter definitions
+function rangeParam(min, max, step, defaultValue) {
+  return {
+    typology: 'range',
+    minimumValue: String(min),
+    maximumValue: String(max),
+    incrementValue: String(step),
+    defaultValue: String(defaultValue),
+    mandatory: 1,
+  };
+}
+
+function enumParam(values, defaultValue) {
+  return {
+    typology: 'enum',
+    enumValues: values.map(String),
+    defaultValue: String(defaultValue),
+    mandatory: 1,
+  };
+}
+
+function fixedParam(value, mandatory = 1) {
+  return { typology: 'fixed', fixedValue: String(value), mandatory };
+}
+
+const SETTINGS_PARAMETERS = {
+  onOffStatus: enumParam([0, 1], 1),
+  machMode: enumParam([0, 1, 2, 4, 6], 0),
+  tempSel: rangeParam(16, 30, 0.5, 24),
+  windSpeed: enumParam([1, 2, 3, 5], 5),
+  windDirectionHorizontal: enumParam([0, 3, 4, 5, 6, 7], 0),
+  windDirectionVertical: enumParam([2, 4, 5, 6, 7, 8], 5),
+  humanSensingStatus: enumParam([0, 1, 2], 0),
+  muteStatus: enumParam([0, 1], 0),
+  rapidMode: enumParam([0, 1], 0),
+  silentSleepStatus: enumParam([0, 1], 0),
+  screenDisplayStatus: enumParam([0, 1], 1),
+  echoStatus: enumParam([0, 1], 0),
+  ecoMode: enumParam([0, 1], 0),
+  healthMode: enumParam([0, 1], 0),
+  '10degreeHeatingStatus': enumParam([0, 1], 0),
+};
+
+// Power drawn while running and in standby (W), for the electricity counter
+const RUNNING_POWER = 1200;
+const STANDBY_POWER = 5;
+
+const ANCILLARY_PARAMETERS = {
+  programRules: { typology: 'fixed', fixedValue: {} },
+  channel: fixedParam('mobileApp', 0),
+};
+
+class HonSimulator {
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port=8080]
+   * @param {number} [options.tokenTtl=28800] - Token lifetime in seconds
+   * @param {number} [options.latency=0] - Added response delay in milliseconds
+   * @param {number} [options.mqttPort] - Port of the push broker; none when not given (0 picks a free port)
+   * @param {Function} [options.log]
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 8080;
+    this.mqttPort = options.mqttPort ?? null;
+    this.tokenTtl = options.tokenTtl || 28800;
+    this.latency = options.latency || 0;
+    this.log = options.log || console.log;
+
+    // token -> expiresAt
+    this._tokens = new Map();
+    this._refreshTokens = new Set();
+
+    const now = new Date().toISOString();
+    this.parameters = {};
+    for (const [name, value] of Object.entries(INITIAL_PARAMETERS)) {
+      this.parameters[name] = { parNewVal: value, lastUpdate: now };
+    }
+    this.lastConnEvent = { category: 'CONNECTED', instantTime: now };
+
+    // Cumulative electricity counter (kWh) served by the statistics endpoint
+    this.energyKwh = 0;
+    this._energyMeteredAt = Date.now();
+
+    this._server = http.createServer((req, res) => {
+      this._handle(req, res).catch((error) => {
+        this.log('Simulator error:', error.message);
+        this._send(res, 500, { error: error.message });
+      });
+    });
+
+    // Push broker, created by start() when an MQTT port is given
+    this._broker = null;
+    this._mqttServer = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await new Promise((resolve) => {
+      this._server.listen(this.port, () => {
+        this.port = this._server.address().port;
+        this.log(`hOn simulator listening on http://localhost:${this.port} (token TTL ${this.tokenTtl}s)`);
+        resolve();
+      });
+    });
+
+    if (this.mqttPort !== null) {
+      // Development dependency, only needed for the push broker
+      const Aedes = require('aedes');
+      this._broker = new Aedes();
+      this._mqttServer = net.createServer(this._broker.handle);
+      await new Promise((resolve) => {
+        this._mqttServer.listen(this.mqttPort, () => {
+          this.mqttPort = this._mqttServer.address().port;
+          this.log(`hOn simulator push broker on mqtt://localhost:${this.mqttPort}`);
+          resolve();
+        });
+      });
+    }
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this._broker) {
+      await new Promise((resolve) => this._broker.close(() => resolve()));
+      await new Promise((resolve) => this._mqttServer.close(() => resolve()));
+      this._broker = null;
+      this._mqttServer = null;
+    }
+    this._server.closeAllConnections();
+    await new Promise((resolve) => this._server.close(() => resolve()));
+  }
+
+  /**
+   * Report the AC as connected or disconnected, also on the push broker
+   * @param {boolean} connected
+   */
+  setConnected(connected) {
+    const category = connected ? 'CONNECTED' : 'DISCONNECTED';
+    this.lastConnEvent = { category, instantTime: new Date().toISOString() };
+    this._publish(`$aws/events/presence/${connected ? 'connected' : 'disconnected'}/${MAC_ADDRESS}`, {
+      clientId: MAC_ADDRESS,
+      eventType: category.toLowerCase(),
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Issue a token valid for tokenTtl seconds
+   * @returns {string}
+   * @private
+   */
+  _issueToken(prefix) {
+    const token = `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+    this._tokens.set(token, Date.now() + this.tokenTtl * 1000);
+    return token;
+  }
+
+  /**
+   * @param {string} token
+   * @returns {boolean}
+   * @private
+   */
+  _isValid(token) {
+    const expiresAt = token && this._tokens.get(token);
+    return Boolean(expiresAt) && Date.now() < expiresAt;
+  }
+
+  /**
+   * Issue a full Salesforce token set
+   * @returns {Object}
+   * @private
+   */
+  _issueTokenSet() {
+    const refreshToken = `refresh_${crypto.randomBytes(12).toString('hex')}`;
+    this._refreshTokens.add(refreshToken);
+    return {
+      access_token: this._issueToken('access'),
+      id_token: this._issueToken('id'),
+      refresh_token: refreshToken,
+      expires_in: this.tokenTtl,
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, `http://localhost:${this.port}`);
+    const body = await this._readBody(req);
+    this.log(`${req.method} ${url.pathname}`);
+
+    if (this.latency) {
+      await new Promise((resolve) => setTimeout(resolve, this.latency));
+    }
+
+    // Login: skip the Salesforce pages and redirect straight to the app with tokens
+    if (url.pathname === '/services/oauth2/authorize/expid_Login') {
+      const tokens = this._issueTokenSet();
+      const fragment = `access_token=${tokens.access_token}&refresh_token=${tokens.refresh_token}&id_token=${tokens.id_token}&`;
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(`<script>window.location.href = 'hon://mobilesdk/detect/oauth/done#${fragment}';</script>`);
+      return;
+    }
+
+    if (url.pathname === '/services/oauth2/token' && req.method === 'POST') {
+      const form = new URLSearchParams(body);
+      if (form.get('grant_type') !== 'refresh_token' || !this._refreshTokens.has(form.get('refresh_token'))) {
+        this._send(res, 400, { error: 'invalid_grant', error_description: 'expired access/refresh token' });
+        return;
+      }
+      const tokens = this._issueTokenSet();
+      this._refreshTokens.delete(form.get('refresh_token'));
+      this._send(res, 200, tokens);
+      return;
+    }
+
+    if (url.pathname === '/auth/v1/login' && req.method === 'POST') {
+      if (!this._isValid(req.headers['id-token'])) {
+        this._send(res, 401, { message: 'Invalid id token' });
+        return;
+      }
+      this._send(res, 200, { cognitoUser: { Token: this._issueToken('cognito') } });
+      return;
+    }
+
+    // Everything below requires a valid Cognito + id token pair
+    if (!this._isValid(req.headers['cognito-token']) || !this._isValid(req.headers['id-token'])) {
+      this._send(res, 401, { message: 'Token expired' });
+      return;
+    }
+
+    switch (url.pathname) {
+      case '/auth/v1/introspection':
+        this._send(res, 200, { payload: { tokenSigned: crypto.randomBytes(16).toString('hex') } });
+        return;
+      case '/commands/v1/appliance':
+        this._send(res, 200, { payload: { appliances: [this._appliance()] } });
+        return;
+      case '/commands/v1/retrieve':
+        this._send(res, 200, { payload: this._commandDefinitions() });
+        return;
+      case '/commands/v1/context':
+        if (url.searchParams.get('macAddress') !== MAC_ADDRESS) {
+          this._send(res, 404, { message: 'Unknown appliance' });
+          return;
+        }
+        this._simulateRoom();
+        this._send(res, 200, { payload: { shadow: { parameters: this.parameters }, lastConnEvent: this.lastConnEvent } });
+        return;
+      case '/commands/v1/statistics':
+        this._meterEnergy();
+        this._send(res, 200, { payload: { totalElectricityUsed: this.energyKwh.toFixed(2) } });
+        return;
+      case '/commands/v1/send':
+        this._meterEnergy();
+        this._applyCommand(JSON.parse(body || '{}'));
+        this._send(res, 200, { payload: { resultCode: '0' } });
+        return;
+      default:
+        this._send(res, 404, { message: `Unknown endpoint ${url.pathname}` });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _appliance() {
+    return {
+      macAddress: `${MAC_ADDRESS}#2024-01-01T00:00:00Z`,
+      applianceId: `${MAC_ADDRESS}#2024-01-01T00:00:00Z`,
+      applianceTypeName: 'AC',
+      applianceModelId: 1,
+      modelName: 'Simulated AC',
+      nickName: 'Simulator',
+      brand: 'Haier',
+      serialNumber: 'SIM0000001',
+      code: 'SIM',
+      topics: {
+        subscribe: [
+          `haier/things/${MAC_ADDRESS}/event/appliancestatus/update`,
+          `$aws/events/presence/connected/${MAC_ADDRESS}`,
+          `$aws/events/presence/disconnected/${MAC_ADDRESS}`,
+        ],
+      },
+    };
+  }
+
+  /**
+   * @private
+   */
+  _commandDefinitions() {
+    const program = { parameters: SETTINGS_PARAMETERS, ancillaryParameters: ANCILLARY_PARAMETERS };
+    const startProgram = {};
+    for (const name of Object.keys(PROGRAM_MACH_MODE)) {
+      startProgram[name.toLowerCase()] = program;
+    }
+    return {
+      applianceModel: { options: {} },
+      settings: { setParameters: program },
+      startProgram,
+      stopProgram: { stopProgram: program },
+    };
+  }
+
+  /**
+   * Apply a sent command to the shadow
+   * @private
+   */
+  _applyCommand(payload) {
+    const now = new Date().toISOString();
+    const parameters = { ...(payload.parameters || {}) };
+
+    if (payload.commandName === 'startProgram') {
+      parameters.onOffStatus = '1';
+      const machMode = PROGRAM_MACH_MODE[payload.programName];
+      if (machMode !== undefined) parameters.machMode = machMode;
+    } else if (payload.commandName === 'stopProgram') {
+      parameters.onOffStatus = '0';
+    }
+
+    const changed = [];
+    for (const [name, value] of Object.entries(parameters)) {
+      if (!(name in SETTINGS_PARAMETERS)) continue;
+      if (this.parameters[name]?.parNewVal !== String(value)) {
+        changed.push({ parName: name, parNewVal: String(value), lastUpdate: now });
+      }
+      this.parameters[name] = { parNewVal: String(value), lastUpdate: now };
+    }
+    this.log(`Applied ${payload.commandName}:`, JSON.stringify(parameters));
+
+    if (changed.length > 0) {
+      this._publish(`haier/things/${MAC_ADDRESS}/event/appliancestatus/update`, { parameters: changed, timestamp: now });
+    }
+  }
+
+  /**
+   * Publish a message on the push broker, if it runs
+   * @param {string} topic
+   * @param {Object} payload
+   * @private
+   */
+  _publish(topic, payload) {
+    if (!this._broker) return;
+    this._broker.publish({ topic, payload: Buffer.from(JSON.stringify(payload)), qos: 1, retain: false }, () => {});
+  }
+
+  /**
+   * Advance the electricity counter by the power drawn since the last call
+   * @private
+   */
+  _meterEnergy() {
+    const now = Date.now();
+    const power = this.parameters.onOffStatus.parNewVal === '1' ? RUNNING_POWER : STANDBY_POWER;
+    this.energyKwh += (power / 1000) * ((now - this._energyMeteredAt) / 3600000);
+    this._energyMeteredAt = now;
+  }
+
+  /**
+   * Move the indoor temperature half a degree towards the setpoint while running
+   * @private
+   */
+  _simulateRoom() {
+    if (this.parameters.onOffStatus.parNewVal !== '1') return;
+
+    const indoor = Number(this.parameters.tempIndoor.parNewVal);
+    const target = Number(this.parameters.tempSel.parNewVal);
+    if (indoor === target) return;
+
+    const next = indoor + (target > indoor ? 0.5 : -0.5);
+    this.parameters.tempIndoor = { parNewVal: String(next), lastUpdate: new Date().toISOString() };
+  }
+
+  /**
+   * @private
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+}
+
+module.exports = HonSimulator;
+
+if (require.main === module) {
+  const args = Object.fromEntries(process.argv.slice(2)
+    .map((arg) => arg.replace(/^--/, '').split('='))
+    .map(([key, value]) => [key, Number(value)]));
+
+  new HonSimulator({
+    port: args.port,
+    tokenTtl: args['token-ttl'],
+    latency: args.latency,
+    mqttPort: args['mqtt-port'],
+  }).start();
+}